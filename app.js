@@ -9,6 +9,10 @@ const userRoutes = require("./routes/user.routes");
 const captainRoutes = require("./routes/captain.routes");
 const rideRoutes = require("./routes/ride.routes");
 const mapsRoutes = require("./routes/maps.routes");
+const adminRoutes = require("./routes/admin.routes");
+const lostItemRoutes = require("./routes/lostItem.routes");
+const supportRoutes = require("./routes/support.routes");
+const recurringRideRoutes = require("./routes/recurringRide.routes");
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const mongoose = require('mongoose');
@@ -36,8 +40,9 @@ app.use(
     cors({
         origin: process.env.FRONTEND_URL,
         credentials: true,
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization']
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+        exposedHeaders: ['Idempotent-Replayed']
     })
 );
 
@@ -56,6 +61,10 @@ app.use("/api/user", userRoutes);
 app.use("/api/captain", captainRoutes);
 app.use("/api/ride", rideRoutes);
 app.use("/api/maps", mapsRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/lost-items", lostItemRoutes);
+app.use("/api/support", supportRoutes);
+app.use("/api/recurring-rides", recurringRideRoutes);
 
 // Health check route
 app.get("/health", (req, res) => {
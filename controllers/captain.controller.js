@@ -1,5 +1,7 @@
 const captainModel = require('../models/captain.model');
 const captainService = require('../services/captain.service');
+const surgeService = require('../services/surge.service');
+const captainStatsService = require('../services/captainStats.service');
 const blackListTokenModel = require('../models/blackListToken.model');
 const { validationResult } = require('express-validator');
 
@@ -152,7 +154,8 @@ module.exports.getCaptainProfile = async (req, res, next) => {
                 fullname: req.captain.fullname,
                 vehicle: req.captain.vehicle,
                 isAvailable: req.captain.isAvailable,
-                location: req.captain.location
+                location: req.captain.location,
+                stats: captainStatsService.getCaptainStats(req.captain)
             }
         }
     });
@@ -224,3 +227,27 @@ module.exports.updateAvailability = async (req, res, next) => {
         res.status(500).json({ success: false, message: 'Error updating availability' });
     }
 };
+
+module.exports.getSurgeMap = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { lat, lng, radius } = req.query;
+        const zones = await surgeService.getHeatMap({
+            lat: lat !== undefined ? parseFloat(lat) : undefined,
+            lng: lng !== undefined ? parseFloat(lng) : undefined,
+            radiusKm: radius !== undefined ? parseFloat(radius) : undefined
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { zones }
+        });
+    } catch (error) {
+        console.error('Error fetching surge map:', error);
+        res.status(500).json({ success: false, message: 'Error fetching surge map' });
+    }
+};
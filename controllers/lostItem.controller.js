@@ -0,0 +1,134 @@
+const lostItemService = require('../services/lostItem.service');
+const { validationResult } = require('express-validator');
+
+const getRequester = (req) => {
+    if (req.captain) {
+        return { type: 'Captain', id: req.captain._id };
+    }
+    return { type: req.user.role === 'admin' ? 'Admin' : 'User', id: req.user._id };
+};
+
+// Report an item left behind on a completed ride
+module.exports.createReport = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const report = await lostItemService.createReport({
+            rideId: req.body.rideId,
+            userId: req.user._id,
+            description: req.body.description,
+            contactPhone: req.body.contactPhone
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Lost item reported. Your captain has been notified.',
+            data: report
+        });
+    } catch (err) {
+        console.error('Error in createReport:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Reports for the logged-in rider or captain
+module.exports.listReports = async (req, res) => {
+    try {
+        const reports = await lostItemService.listReports(getRequester(req));
+        return res.status(200).json({
+            success: true,
+            data: reports
+        });
+    } catch (err) {
+        console.error('Error in listReports:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// A single report with its chat thread
+module.exports.getReport = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const report = await lostItemService.getReport(req.params.id, getRequester(req));
+        return res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (err) {
+        console.error('Error in getReport:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Mark an item found, returned or close the report
+module.exports.updateStatus = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const report = await lostItemService.updateStatus({
+            reportId: req.params.id,
+            requester: getRequester(req),
+            status: req.body.status,
+            note: req.body.note,
+            returnFee: req.body.returnFee
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Report marked as ${report.status}`,
+            data: report
+        });
+    } catch (err) {
+        console.error('Error in updateStatus:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Message the other party about the item
+module.exports.addMessage = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const message = await lostItemService.addMessage({
+            reportId: req.params.id,
+            requester: getRequester(req),
+            text: req.body.text
+        });
+
+        return res.status(201).json({
+            success: true,
+            data: message
+        });
+    } catch (err) {
+        console.error('Error in addMessage:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
@@ -1,4 +1,5 @@
 const mapService = require("../services/maps.service");
+const savedPlaceService = require("../services/savedPlace.service");
 const { validationResult } = require("express-validator");
 
 module.exports.getCoordinates = async (req, res, next) => {
@@ -68,8 +69,20 @@ module.exports.getAutoCompleteSuggestions = async (req, res, next) => {
       type: ['address', 'poi', 'all'].includes(type) ? type : 'all'
     };
 
-    const suggestions = await mapService.getAutoCompleteSuggestions(input, options);
-    res.status(200).json(suggestions);
+    const [savedPlaces, suggestions] = await Promise.all([
+      savedPlaceService.matchSavedPlaces(req.user._id, input).catch(error => {
+        console.error('Error matching saved places:', error);
+        return [];
+      }),
+      mapService.getAutoCompleteSuggestions(input, options)
+    ]);
+
+    // The rider's saved places come first; drop map results for the same address
+    const savedAddresses = new Set(savedPlaces.map(place => place.address.toLowerCase()));
+    res.status(200).json([
+      ...savedPlaces,
+      ...suggestions.filter(suggestion => !savedAddresses.has((suggestion.address || '').toLowerCase()))
+    ]);
   } catch (err) {
     console.error('Error in getAutoCompleteSuggestions:', err);
     res.status(200).json([]);
@@ -0,0 +1,99 @@
+const meetingPointService = require('../services/meetingPoint.service');
+const { validationResult } = require('express-validator');
+
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+// Add a curated pickup spot
+module.exports.createMeetingPoint = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        const point = await meetingPointService.createMeetingPoint(req.body, req.user._id);
+        res.status(201).json({
+            success: true,
+            message: `Meeting point ${point.name} created`,
+            data: point
+        });
+    } catch (err) {
+        console.error('Error creating meeting point:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error creating meeting point'
+        });
+    }
+};
+
+module.exports.listMeetingPoints = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        const points = await meetingPointService.listMeetingPoints({ city: req.query.city });
+        res.status(200).json({
+            success: true,
+            data: points
+        });
+    } catch (err) {
+        console.error('Error listing meeting points:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error listing meeting points'
+        });
+    }
+};
+
+// Edit a meeting point, or set isActive to false to stop suggesting it
+module.exports.updateMeetingPoint = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        const point = await meetingPointService.updateMeetingPoint(req.params.id, req.body);
+        res.status(200).json({
+            success: true,
+            message: 'Meeting point updated',
+            data: point
+        });
+    } catch (err) {
+        console.error('Error updating meeting point:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error updating meeting point'
+        });
+    }
+};
+
+module.exports.deleteMeetingPoint = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        await meetingPointService.deleteMeetingPoint(req.params.id);
+        res.status(200).json({
+            success: true,
+            message: 'Meeting point deleted'
+        });
+    } catch (err) {
+        console.error('Error deleting meeting point:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error deleting meeting point'
+        });
+    }
+};
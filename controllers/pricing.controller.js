@@ -0,0 +1,95 @@
+const pricingService = require('../services/pricing.service');
+const { validationResult } = require('express-validator');
+
+// Publish a new pricing rule version
+module.exports.createPricingRule = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const rule = await pricingService.createRule(req.body, req.user._id);
+
+        res.status(201).json({
+            success: true,
+            message: `Pricing rule v${rule.version} created for ${rule.vehicleType} in ${rule.city}`,
+            data: rule
+        });
+    } catch (err) {
+        console.error('Error creating pricing rule:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error creating pricing rule'
+        });
+    }
+};
+
+// List pricing rules, newest version first
+module.exports.listPricingRules = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { city, vehicleType } = req.query;
+        const [rules, active] = await Promise.all([
+            pricingService.listRules({ city, vehicleType }),
+            pricingService.getActiveRules(city)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: { rules, active }
+        });
+    } catch (err) {
+        console.error('Error listing pricing rules:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error listing pricing rules'
+        });
+    }
+};
+
+// Price a sample trip under a rule before (or after) it goes live
+module.exports.previewPricingRule = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { ruleId, rule, distanceKm, durationMinutes, surgeMultiplier } = req.body;
+        const preview = await pricingService.previewFare({
+            ruleId,
+            rule,
+            distanceKm: parseFloat(distanceKm),
+            durationMinutes: parseFloat(durationMinutes),
+            surgeMultiplier: surgeMultiplier !== undefined ? parseFloat(surgeMultiplier) : 1
+        });
+
+        res.status(200).json({
+            success: true,
+            data: preview
+        });
+    } catch (err) {
+        console.error('Error previewing pricing rule:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error previewing pricing rule'
+        });
+    }
+};
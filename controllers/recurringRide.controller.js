@@ -0,0 +1,144 @@
+const recurringRideService = require('../services/recurringRide.service');
+const savedPlaceService = require('../services/savedPlace.service');
+const { validationResult } = require('express-validator');
+
+const sendError = (res, err, handler) => {
+    console.error(`Error in ${handler}:`, err);
+    return res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.message
+    });
+};
+
+// Pickup and destination may be given as saved place ids
+const resolveLocations = (req) => {
+    const { pickupPlaceId, destinationPlaceId, ...details } = req.body;
+    if (pickupPlaceId) {
+        details.pickup = savedPlaceService.toRideLocation(req.user, pickupPlaceId);
+    }
+    if (destinationPlaceId) {
+        details.destination = savedPlaceService.toRideLocation(req.user, destinationPlaceId);
+    }
+    return details;
+};
+
+// Set up a ride that repeats on the same days and time every week
+module.exports.createRecurringRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const schedule = await recurringRideService.createRecurringRide(req.user._id, resolveLocations(req));
+        return res.status(201).json({
+            success: true,
+            message: 'Recurring ride created',
+            data: schedule
+        });
+    } catch (err) {
+        return sendError(res, err, 'createRecurringRide');
+    }
+};
+
+module.exports.listRecurringRides = async (req, res) => {
+    try {
+        const schedules = await recurringRideService.listRecurringRides(req.user._id);
+        return res.status(200).json({
+            success: true,
+            data: schedules
+        });
+    } catch (err) {
+        return sendError(res, err, 'listRecurringRides');
+    }
+};
+
+module.exports.updateRecurringRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const schedule = await recurringRideService.updateRecurringRide(req.user._id, req.params.id, resolveLocations(req));
+        return res.status(200).json({
+            success: true,
+            message: 'Recurring ride updated',
+            data: schedule
+        });
+    } catch (err) {
+        return sendError(res, err, 'updateRecurringRide');
+    }
+};
+
+module.exports.endRecurringRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await recurringRideService.endRecurringRide(req.user._id, req.params.id);
+        return res.status(200).json({
+            success: true,
+            message: 'Recurring ride ended'
+        });
+    } catch (err) {
+        return sendError(res, err, 'endRecurringRide');
+    }
+};
+
+// Skip a single date without pausing the schedule
+module.exports.skipDate = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const schedule = await recurringRideService.skipDate(req.user._id, req.params.id, req.body.date);
+        return res.status(200).json({
+            success: true,
+            message: `Ride on ${req.body.date} skipped`,
+            data: schedule
+        });
+    } catch (err) {
+        return sendError(res, err, 'skipDate');
+    }
+};
+
+module.exports.pauseRecurringRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const schedule = await recurringRideService.pauseRecurringRide(req.user._id, req.params.id, req.body.until);
+        return res.status(200).json({
+            success: true,
+            message: req.body.until ? `Recurring ride paused until ${req.body.until}` : 'Recurring ride paused',
+            data: schedule
+        });
+    } catch (err) {
+        return sendError(res, err, 'pauseRecurringRide');
+    }
+};
+
+module.exports.resumeRecurringRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const schedule = await recurringRideService.resumeRecurringRide(req.user._id, req.params.id);
+        return res.status(200).json({
+            success: true,
+            message: 'Recurring ride resumed',
+            data: schedule
+        });
+    } catch (err) {
+        return sendError(res, err, 'resumeRecurringRide');
+    }
+};
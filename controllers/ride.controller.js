@@ -1,32 +1,65 @@
 const rideService = require('../services/ride.service');
+const rideStateService = require('../services/rideState.service');
+const rideEventService = require('../services/rideEvent.service');
+const dispatchService = require('../services/dispatch.service');
+const quoteService = require('../services/quote.service');
+const receiptService = require('../services/receipt.service');
+const splitService = require('../services/split.service');
+const passengerService = require('../services/passenger.service');
+const savedPlaceService = require('../services/savedPlace.service');
 const { validationResult } = require('express-validator');
 const mapService = require('../services/maps.service');
 const { getIO } = require('../socket');
 const rideModel = require('../models/ride.model');
-const captainModel = require('../models/captain.model');
-const userModel = require('../models/user.model');
 
 // Create a new ride request
 module.exports.createRide = async (req, res) => {
     try {
-        const { pickup, destination, vehicleType, userId } = req.body;
+        const { vehicleType } = req.body;
+        // The rider is always the authenticated user, never an id from the body
+        const userId = req.user._id;
+        let { pickup, destination } = req.body;
 
-        if (!pickup || !destination || !vehicleType || !userId) {
+        // Saved places can be referenced by id instead of sending the full location
+        try {
+            if (req.body.pickupPlaceId) {
+                pickup = savedPlaceService.toRideLocation(req.user, req.body.pickupPlaceId);
+            }
+            if (req.body.destinationPlaceId) {
+                destination = savedPlaceService.toRideLocation(req.user, req.body.destinationPlaceId);
+            }
+        } catch (error) {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (!pickup || !destination || !vehicleType) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required fields'
             });
         }
 
-        // Parse pickup and destination if they are strings
-        let pickupObj, destinationObj;
+        // Parse pickup, destination and stops if they are strings
+        let pickupObj, destinationObj, stops;
         try {
             pickupObj = typeof pickup === 'string' ? JSON.parse(pickup) : pickup;
             destinationObj = typeof destination === 'string' ? JSON.parse(destination) : destination;
+            stops = typeof req.body.stops === 'string' ? JSON.parse(req.body.stops) : (req.body.stops || []);
         } catch (error) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid pickup or destination format'
+                message: 'Invalid pickup, destination or stops format'
+            });
+        }
+
+        const stopsError = rideService.validateStops(stops);
+        if (stopsError) {
+            return res.status(400).json({
+                success: false,
+                message: stopsError
             });
         }
 
@@ -38,17 +71,74 @@ module.exports.createRide = async (req, res) => {
             });
         }
 
-        // Validate user exists
-        const user = await userModel.findById(userId);
-        if (!user) {
-            return res.status(404).json({
+        const rideType = req.body.rideType || 'standard';
+        const seats = parseInt(req.body.seats, 10) || 1;
+        if (rideType === 'pool') {
+            if (vehicleType !== rideService.POOL_CONFIG.vehicleType) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Pool rides are only available for ${rideService.POOL_CONFIG.vehicleType}`
+                });
+            }
+            if (seats > rideService.POOL_CONFIG.maxSeatsPerRequest) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Pool rides allow at most ${rideService.POOL_CONFIG.maxSeatsPerRequest} seats per request`
+                });
+            }
+        }
+
+        const rentalHours = parseInt(req.body.rentalHours, 10);
+        if (rideType === 'rental' && !rentalHours) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                message: 'Rental rides need the number of hours to book'
             });
         }
 
-        // Calculate fare first
-        const fareResult = await rideService.getFare(pickupObj, destinationObj);
+        // Validate requested pickup time for scheduled rides
+        let scheduledFor = null;
+        if (req.body.scheduledFor) {
+            const scheduleError = rideService.validateScheduledTime(req.body.scheduledFor);
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    message: scheduleError
+                });
+            }
+            scheduledFor = new Date(req.body.scheduledFor);
+        }
+
+        // Honor a quote from get-fare if one is presented; otherwise price the trip now
+        let fareResult;
+        if (req.body.quoteId) {
+            try {
+                const quote = await quoteService.verifyQuote(req.body.quoteId, {
+                    userId,
+                    vehicleType,
+                    pickup: pickupObj,
+                    destination: destinationObj,
+                    stops
+                });
+                fareResult = {
+                    data: { [vehicleType]: quote.amount },
+                    distance: quote.distance,
+                    duration: quote.duration,
+                    surgeMultiplier: quote.surgeMultiplier,
+                    surgeCell: quote.surgeCell,
+                    city: quote.city,
+                    pricing: { [vehicleType]: quote.pricing }
+                };
+            } catch (error) {
+                return res.status(error.statusCode || 400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        } else {
+            fareResult = await rideService.getFare(pickupObj, destinationObj, stops, { city: req.body.city });
+        }
+
         if (!fareResult || !fareResult.data || !fareResult.data[vehicleType]) {
             return res.status(400).json({
                 success: false,
@@ -56,6 +146,20 @@ module.exports.createRide = async (req, res) => {
             });
         }
 
+        // Rentals are billed by the hour package rather than the point-to-point fare
+        let rental;
+        if (rideType === 'rental') {
+            const rentalQuote = await rideService.getRentalQuote({
+                vehicleType,
+                hours: rentalHours,
+                city: fareResult.city,
+                surgeMultiplier: fareResult.surgeMultiplier
+            });
+            rental = rentalQuote.rental;
+            fareResult.data[vehicleType] = rental.packagePrice;
+            fareResult.pricing[vehicleType] = rentalQuote.pricing;
+        }
+
         // Create ride using service
         const newRide = await rideService.createRide({
             user: userId,
@@ -66,59 +170,45 @@ module.exports.createRide = async (req, res) => {
             vehicleType,
             fareAmount: fareResult.data[vehicleType],
             distance: fareResult.distance,
-            duration: fareResult.duration
-        });
-
-        // Find available captains
-        const availableCaptains = await captainModel.find({
-            isAvailable: true,
-            'vehicle.vehicleType': vehicleType,
-            lastSeen: { $gte: new Date(Date.now() - 5 * 60 * 1000) }
-        });
+            duration: fareResult.duration,
+            scheduledFor,
+            stops,
+            rideType,
+            seats,
+            surgeMultiplier: fareResult.surgeMultiplier,
+            surgeCell: fareResult.surgeCell,
+            pricing: fareResult.pricing[vehicleType],
+            quoteId: req.body.quoteId,
+            rental,
+            passenger: req.body.passenger,
+            meetingPointId: req.body.meetingPointId
+        });
+
+        // Pool requests join a matching shared trip when one exists
+        const pooledRide = scheduledFor ? null : await rideService.matchPoolRide(newRide);
+
+        // Scheduled rides are released to captains later by the scheduler
+        if (!scheduledFor && !pooledRide) {
+            await dispatchService.startDispatch(newRide);
+        }
 
-        // Notify available captains
-        const io = getIO();
-        if (availableCaptains.length > 0) {
-            // Fetch the newly created ride to get the populated fare object
-            // We are now sending calculated fare, distance, and duration directly
-            // const rideWithFare = await rideModel.findById(newRide._id)
-            //     .select('pickup destination vehicleType fare user')
-            //     .populate('user', 'fullname');
-
-            availableCaptains.forEach(captain => {
-                if (captain.socketId) {
-                    console.log('Emitting new-ride to captain:', captain._id, 'socketId:', captain.socketId);
-                    // io.to(captain.socketId).emit('new-ride', {
-                    io.emit('new-ride', {
-                        rideId: newRide._id, // Use the newly created ride ID
-                        pickup: pickupObj, // Use the original pickup object
-                        destination: destinationObj, // Use the original destination object
-                        vehicleType: vehicleType, // Use the selected vehicle type
-                        fare: { // Send the calculated fare amount
-                            amount: fareResult.data[vehicleType],
-                            currency: 'USD' // Assuming USD as currency
-                        },
-                        distance: fareResult.distance.value, // Send calculated distance value
-                        duration: fareResult.duration.value, // Send calculated duration value
-                        user: { // Get user info from the already fetched user object
-                            _id: user._id,
-                            fullname: user.fullname
-                        }
-                    });
-                }
-            });
+        let message = 'Ride created successfully';
+        if (scheduledFor) {
+            message = 'Ride scheduled successfully';
+        } else if (pooledRide) {
+            message = 'Ride matched with a shared trip';
         }
 
         res.status(201).json({
             success: true,
-            message: 'Ride created successfully',
-            data: newRide
+            message,
+            data: pooledRide || newRide
         });
     } catch (error) {
         console.error('Error creating ride:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Error creating ride',
+            message: error.statusCode ? error.message : 'Error creating ride',
             error: error.message
         });
     }
@@ -136,50 +226,24 @@ module.exports.confirmRide = async (req, res) => {
     }
 
     try {
-        // Check if captain is available
-        const captain = await captainModel.findById(req.captain._id);
-        if (!captain.isAvailable) {
-            return res.status(400).json({
-                success: false,
-                message: 'Captain is currently on another ride'
-            });
-        }
-
         const ride = await rideService.confirmRide({
             rideId: req.body.rideId,
             captain: req.captain
         });
 
-        // Update captain availability
-        await captainModel.findByIdAndUpdate(req.captain._id, {
-            isAvailable: false,
-            lastSeen: new Date()
-        });
-
         // Get populated ride data
         const populatedRide = await rideModel.findById(ride._id)
             .populate('user', 'fullname phone')
             .populate('captain', 'fullname phone vehicle')
-            .select('fare distance duration pickup destination otp');
-
-        console.log('Populated ride data before emitting to user:', populatedRide);
-
-        const io = getIO();
-        // Notify user
-        io.to(`User-${ride.user._id}`).emit('ride:status:updated', { status: 'accepted', data: populatedRide });
-        // Notify captain
-        io.to(`Captain-${ride.captain._id}`).emit('ride:status:updated', {
-            status: 'accepted',
-            data: populatedRide
-        });
+            .select('user captain fare distance duration pickup destination stops passenger');
 
         return res.status(200).json({
             success: true,
-            data: populatedRide
+            data: rideStateService.toCaptainView(populatedRide)
         });
     } catch (err) {
         console.error('Error in confirmRide:', err);
-        return res.status(500).json({
+        return res.status(err.statusCode || 500).json({
             success: false,
             message: err.message
         });
@@ -218,22 +282,13 @@ module.exports.startRide = async (req, res) => {
             .populate('captain', 'fullname phone vehicle')
             .select('-otp');
 
-        const io = getIO();
-        // Notify user
-        io.to(`User-${ride.user._id}`).emit('ride:started', populatedRide);
-        // Notify captain
-        io.to(`Captain-${ride.captain._id}`).emit('ride:status:updated', {
-            status: 'in-progress',
-            data: { rideId: ride._id }
-        });
-
         return res.status(200).json({
             success: true,
-            data: populatedRide
+            data: rideStateService.toCaptainView(populatedRide)
         });
     } catch (err) {
         console.error('Error in startRide:', err);
-        return res.status(500).json({
+        return res.status(err.statusCode || 500).json({
             success: false,
             message: err.message
         });
@@ -255,16 +310,13 @@ module.exports.endRide = async (req, res) => {
             tip: req.body.tip
         });
 
-        const io = getIO();
-        io.to(`User-${ride.user._id}`).emit('ride:completed', ride);
-
         return res.status(200).json({
             success: true,
             data: ride
         });
     } catch (err) {
         console.error('Error in endRide:', err);
-        return res.status(500).json({
+        return res.status(err.statusCode || 500).json({
             success: false,
             message: err.message
         });
@@ -285,26 +337,13 @@ module.exports.cancelRide = async (req, res) => {
             reason: req.body.reason
         });
 
-        const io = getIO();
-        io.to(`User-${ride.user._id}`).emit('ride:cancelled', {
-            rideId: ride._id,
-            reason: req.body.reason
-        });
-
-        if (ride.captain) {
-            io.to(`Captain-${ride.captain._id}`).emit('ride:cancelled', {
-                rideId: ride._id,
-                reason: req.body.reason
-            });
-        }
-
         return res.status(200).json({
             success: true,
             data: ride
         });
     } catch (err) {
         console.error('Error in cancelRide:', err);
-        return res.status(500).json({
+        return res.status(err.statusCode || 500).json({
             success: false,
             message: err.message
         });
@@ -349,7 +388,7 @@ module.exports.rateRide = async (req, res) => {
 // Get active rides
 module.exports.getActiveRides = async (req, res) => {
     try {
-        const rides = await rideService.getActiveRides(req.user._id, req.user.type);
+        const rides = await rideService.getActiveRides(req.user._id, 'User');
         return res.status(200).json({
             success: true,
             data: rides
@@ -363,16 +402,77 @@ module.exports.getActiveRides = async (req, res) => {
     }
 };
 
-// Get ride history
+const getHistoryFilters = (query) => ({
+    from: query.from,
+    to: query.to,
+    status: query.status,
+    vehicleType: query.vehicleType,
+    minAmount: query.minAmount,
+    maxAmount: query.maxAmount
+});
+
+// Get ride history (cursor paginated)
 module.exports.getRideHistory = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     try {
-        const rides = await rideService.getRideHistory(req.user._id, req.user.type);
+        const { rides, nextCursor, totals } = await rideService.getRideHistory(req.user._id, 'User', {
+            ...getHistoryFilters(req.query),
+            cursor: req.query.cursor,
+            limit: req.query.limit
+        });
         return res.status(200).json({
             success: true,
-            data: rides
+            data: rides,
+            nextCursor,
+            totals
         });
     } catch (err) {
         console.error('Error in getRideHistory:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Export ride history for expense tools
+module.exports.exportRideHistory = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const csv = await rideService.exportRideHistoryCsv(req.user._id, 'User', getHistoryFilters(req.query));
+        const date = new Date().toISOString().slice(0, 10);
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="ride-history-${date}.csv"`
+        });
+        return res.status(200).send(csv);
+    } catch (err) {
+        console.error('Error in exportRideHistory:', err);
+        return res.status(500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Get upcoming scheduled rides
+module.exports.getScheduledRides = async (req, res) => {
+    try {
+        const rides = await rideService.getScheduledRides(req.user._id);
+        return res.status(200).json({
+            success: true,
+            data: rides
+        });
+    } catch (err) {
+        console.error('Error in getScheduledRides:', err);
         return res.status(500).json({
             success: false,
             message: err.message
@@ -380,6 +480,268 @@ module.exports.getRideHistory = async (req, res) => {
     }
 };
 
+// Edit an upcoming scheduled ride
+module.exports.updateScheduledRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { scheduledFor, pickup, destination, vehicleType, stops } = req.body;
+
+        if (stops !== undefined) {
+            const stopsError = rideService.validateStops(stops);
+            if (stopsError) {
+                return res.status(400).json({
+                    success: false,
+                    message: stopsError
+                });
+            }
+        }
+
+        if (scheduledFor) {
+            const scheduleError = rideService.validateScheduledTime(scheduledFor);
+            if (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    message: scheduleError
+                });
+            }
+        }
+
+        const ride = await rideService.updateScheduledRide({
+            rideId: req.params.rideId,
+            userId: req.user._id,
+            scheduledFor: scheduledFor ? new Date(scheduledFor) : undefined,
+            pickup,
+            destination,
+            vehicleType,
+            stops
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: ride
+        });
+    } catch (err) {
+        console.error('Error in updateScheduledRide:', err);
+        return res.status(500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Cancel an upcoming scheduled ride
+module.exports.cancelScheduledRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ride = await rideService.cancelRide({
+            rideId: req.params.rideId,
+            userId: req.user._id,
+            reason: req.body.reason || 'Scheduled ride cancelled by user'
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: ride
+        });
+    } catch (err) {
+        console.error('Error in cancelScheduledRide:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Get the event timeline of a ride
+module.exports.getRideTimeline = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        let requester;
+        if (req.captain) {
+            requester = { type: 'Captain', id: req.captain._id };
+        } else {
+            requester = { type: req.user.role === 'admin' ? 'Admin' : 'User', id: req.user._id };
+        }
+
+        const events = await rideEventService.getRideTimeline(req.params.id, requester);
+        return res.status(200).json({
+            success: true,
+            data: events
+        });
+    } catch (err) {
+        console.error('Error in getRideTimeline:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Public trip tracking for a guest passenger (no login; the token is the credential)
+module.exports.trackGuestRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ride = await passengerService.getTrackedRide(req.params.token);
+        return res.status(200).json({
+            success: true,
+            data: ride
+        });
+    } catch (err) {
+        console.error('Error in trackGuestRide:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Invite other riders to split the fare
+module.exports.inviteToSplit = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ride = await splitService.inviteToSplit({
+            rideId: req.params.id,
+            userId: req.user._id,
+            participants: req.body.participants,
+            mode: req.body.mode
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Split invitations sent',
+            data: ride.split
+        });
+    } catch (err) {
+        console.error('Error in inviteToSplit:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Accept or decline a split invitation
+module.exports.respondToSplit = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ride = await splitService.respondToSplit({
+            rideId: req.params.id,
+            userId: req.user._id,
+            accept: req.body.accept
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: req.body.accept ? 'Split accepted' : 'Split declined',
+            data: ride.split
+        });
+    } catch (err) {
+        console.error('Error in respondToSplit:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Receipt for a completed ride as JSON, HTML or PDF
+module.exports.getRideReceipt = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        let requester;
+        if (req.captain) {
+            requester = { type: 'Captain', id: req.captain._id };
+        } else {
+            requester = { type: req.user.role === 'admin' ? 'Admin' : 'User', id: req.user._id };
+        }
+
+        const receipt = await receiptService.getReceipt(req.params.id, requester);
+
+        if (req.query.format === 'pdf') {
+            const pdf = await receiptService.renderReceiptPdf(receipt);
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`
+            });
+            return res.status(200).send(pdf);
+        }
+        if (req.query.format === 'html') {
+            return res.status(200).type('html').send(receiptService.renderReceiptHtml(receipt));
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: receipt
+        });
+    } catch (err) {
+        console.error('Error in getRideReceipt:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+// Email the receipt again, optionally to a different address
+module.exports.resendRideReceipt = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const requester = { type: req.user.role === 'admin' ? 'Admin' : 'User', id: req.user._id };
+        // Checks access and that the ride is completed
+        await receiptService.getReceipt(req.params.id, requester);
+
+        const email = req.body.email || req.user.email;
+        await receiptService.sendReceipt(req.params.id, { email, actor: requester });
+
+        return res.status(200).json({
+            success: true,
+            message: `Receipt sent to ${email}`
+        });
+    } catch (err) {
+        console.error('Error in resendRideReceipt:', err);
+        return res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
 module.exports.getFare = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -404,19 +766,37 @@ module.exports.getFare = async (req, res) => {
         }
 
         // Try to parse the JSON strings
-        let pickupObj, destinationObj;
+        let pickupObj, destinationObj, stops;
         try {
             pickupObj = JSON.parse(pickup);
             destinationObj = JSON.parse(destination);
+            stops = req.query.stops ? JSON.parse(req.query.stops) : [];
         } catch (error) {
             console.error('JSON parse error:', error);
             return res.status(400).json({ 
                 success: false,
-                message: 'Invalid JSON format for pickup or destination' 
+                message: 'Invalid JSON format for pickup, destination or stops' 
             });
         }
 
-        const result = await rideService.getFare(pickupObj, destinationObj);
+        const result = await rideService.getFare(pickupObj, destinationObj, stops, {
+            city: req.query.city,
+            userId: req.user._id
+        });
+
+        // Optional hourly rental prices for the same pickup
+        if (req.query.rentalHours) {
+            result.rental = {};
+            for (const vehicleType of Object.keys(result.data)) {
+                const { rental } = await rideService.getRentalQuote({
+                    vehicleType,
+                    hours: parseInt(req.query.rentalHours, 10),
+                    city: result.city,
+                    surgeMultiplier: result.surgeMultiplier
+                });
+                result.rental[vehicleType] = rental;
+            }
+        }
         console.log('Fare calculated successfully:', result);
         
         return res.status(200).json({
@@ -430,7 +810,10 @@ module.exports.getFare = async (req, res) => {
         let statusCode = 500;
         let errorMessage = 'Internal server error';
 
-        if (err.message.includes('Invalid') || 
+        if (err.statusCode) {
+            statusCode = err.statusCode;
+            errorMessage = err.message;
+        } else if (err.message.includes('Invalid') || 
             err.message.includes('required') || 
             err.message.includes('format') || 
             err.message.includes('range')) {
@@ -453,119 +836,19 @@ module.exports.getFare = async (req, res) => {
 module.exports.updateRideStatus = async (req, res) => {
     try {
         const { rideId } = req.params;
-        const { status, data } = req.body;
+        const { status, data = {} } = req.body;
 
-        const ride = await rideModel.findById(rideId);
-        if (!ride) {
-            return res.status(404).json({
-                success: false,
-                message: 'Ride not found'
-            });
-        }
+        const actor = req.captain
+            ? { type: 'Captain', id: req.captain._id }
+            : { type: 'User', id: req.user._id };
 
-        // Validate status transition
-        const validTransitions = {
-            'requested': ['accepted', 'cancelled'],
-            'accepted': ['on-the-way', 'cancelled'],
-            'on-the-way': ['in-progress', 'cancelled'],
-            'in-progress': ['completed', 'cancelled'],
-            'completed': [],
-            'cancelled': []
-        };
-
-        if (!validTransitions[ride.status].includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid status transition from ${ride.status} to ${status}`
-            });
-        }
-
-        // Update ride status
-        ride.status = status;
-        
-        // Handle specific status updates
-        switch (status) {
-            case 'accepted':
-                if (req.user.type !== 'Captain') {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Only captain can accept rides'
-                    });
-                }
-                ride.captain = req.user._id;
-                await captainModel.findByIdAndUpdate(req.user._id, {
-                    isAvailable: false,
-                    lastSeen: new Date()
-                });
-                break;
-
-            case 'on-the-way':
-                if (req.user.type !== 'Captain') {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Only captain can update ride to on-the-way'
-                    });
-                }
-                ride.estimatedArrivalTime = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes from now
-                break;
-
-            case 'in-progress':
-                if (req.user.type !== 'Captain') {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Only captain can start rides'
-                    });
-                }
-                if (data.otp && ride.otp !== data.otp) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Invalid OTP'
-                    });
-                }
-                ride.actualArrivalTime = new Date();
-                break;
-
-            case 'completed':
-                if (req.user.type !== 'Captain') {
-                    return res.status(403).json({
-                        success: false,
-                        message: 'Only captain can complete rides'
-                    });
-                }
-                ride.actualEndTime = new Date();
-                await captainModel.findByIdAndUpdate(ride.captain, {
-                    isAvailable: true,
-                    lastSeen: new Date()
-                });
-                break;
-
-            case 'cancelled':
-                ride.cancellationReason = data.reason || 'Cancelled by user';
-                if (ride.captain) {
-                    await captainModel.findByIdAndUpdate(ride.captain, {
-                        isAvailable: true,
-                        lastSeen: new Date()
-                    });
-                }
-                break;
-        }
-
-        await ride.save();
-
-        // Notify all parties
-        const io = getIO();
-        io.to(`User-${ride.user}`).emit('ride:status:updated', {
-            status,
-            data: { rideId: ride._id, ...data }
+        const ride = await rideStateService.transition({
+            rideId,
+            to: status,
+            actor,
+            data
         });
 
-        if (ride.captain) {
-            io.to(`Captain-${ride.captain}`).emit('ride:status:updated', {
-                status,
-                data: { rideId: ride._id, ...data }
-            });
-        }
-
         res.json({
             success: true,
             message: 'Ride status updated successfully',
@@ -573,7 +856,7 @@ module.exports.updateRideStatus = async (req, res) => {
         });
     } catch (error) {
         console.error('Error updating ride status:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             message: 'Error updating ride status',
             error: error.message
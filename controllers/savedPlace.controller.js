@@ -0,0 +1,76 @@
+const savedPlaceService = require('../services/savedPlace.service');
+const { validationResult } = require('express-validator');
+
+const sendError = (res, err, handler) => {
+    console.error(`Error in ${handler}:`, err);
+    return res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.message
+    });
+};
+
+// Saved places for the logged-in rider
+module.exports.listSavedPlaces = async (req, res) => {
+    try {
+        const places = await savedPlaceService.listSavedPlaces(req.user._id);
+        return res.status(200).json({
+            success: true,
+            data: places
+        });
+    } catch (err) {
+        return sendError(res, err, 'listSavedPlaces');
+    }
+};
+
+module.exports.addSavedPlace = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const place = await savedPlaceService.addSavedPlace(req.user._id, req.body);
+        return res.status(201).json({
+            success: true,
+            message: 'Place saved',
+            data: place
+        });
+    } catch (err) {
+        return sendError(res, err, 'addSavedPlace');
+    }
+};
+
+module.exports.updateSavedPlace = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const place = await savedPlaceService.updateSavedPlace(req.user._id, req.params.placeId, req.body);
+        return res.status(200).json({
+            success: true,
+            message: 'Place updated',
+            data: place
+        });
+    } catch (err) {
+        return sendError(res, err, 'updateSavedPlace');
+    }
+};
+
+module.exports.removeSavedPlace = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await savedPlaceService.removeSavedPlace(req.user._id, req.params.placeId);
+        return res.status(200).json({
+            success: true,
+            message: 'Place removed'
+        });
+    } catch (err) {
+        return sendError(res, err, 'removeSavedPlace');
+    }
+};
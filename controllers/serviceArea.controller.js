@@ -0,0 +1,99 @@
+const serviceAreaService = require('../services/serviceArea.service');
+const { validationResult } = require('express-validator');
+
+const validationFailed = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+// Add a city area (coverage and local settings) or a no-go zone
+module.exports.createServiceArea = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        const area = await serviceAreaService.createArea(req.body, req.user._id);
+        res.status(201).json({
+            success: true,
+            message: `Service area ${area.name} created`,
+            data: area
+        });
+    } catch (err) {
+        console.error('Error creating service area:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error creating service area'
+        });
+    }
+};
+
+module.exports.listServiceAreas = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        const areas = await serviceAreaService.listAreas({ type: req.query.type, city: req.query.city });
+        res.status(200).json({
+            success: true,
+            data: areas
+        });
+    } catch (err) {
+        console.error('Error listing service areas:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error listing service areas'
+        });
+    }
+};
+
+// Edit an area's shape or settings, or set isActive to false to switch it off
+module.exports.updateServiceArea = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        const area = await serviceAreaService.updateArea(req.params.id, req.body);
+        res.status(200).json({
+            success: true,
+            message: 'Service area updated',
+            data: area
+        });
+    } catch (err) {
+        console.error('Error updating service area:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error updating service area'
+        });
+    }
+};
+
+module.exports.deleteServiceArea = async (req, res) => {
+    try {
+        if (validationFailed(req, res)) {
+            return;
+        }
+
+        await serviceAreaService.deleteArea(req.params.id);
+        res.status(200).json({
+            success: true,
+            message: 'Service area deleted'
+        });
+    } catch (err) {
+        console.error('Error deleting service area:', err);
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message || 'Error deleting service area'
+        });
+    }
+};
@@ -0,0 +1,186 @@
+const supportService = require('../services/support.service');
+const { validationResult } = require('express-validator');
+
+const getRequester = (req) => {
+    if (req.captain) {
+        return { type: 'Captain', id: req.captain._id };
+    }
+    return { type: req.user.role === 'admin' ? 'Admin' : 'User', id: req.user._id };
+};
+
+const handleError = (res, err, context) => {
+    console.error(`Error in ${context}:`, err);
+    return res.status(err.statusCode || 500).json({
+        success: false,
+        message: err.message
+    });
+};
+
+// Open a ticket against a ride
+module.exports.openTicket = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const requester = getRequester(req);
+        if (requester.type === 'Admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'Agents cannot open tickets on behalf of riders'
+            });
+        }
+
+        const ticket = await supportService.openTicket({
+            rideId: req.body.rideId,
+            requester,
+            category: req.body.category,
+            description: req.body.description
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Ticket opened. Our support team will get back to you.',
+            data: ticket
+        });
+    } catch (err) {
+        return handleError(res, err, 'openTicket');
+    }
+};
+
+// Tickets for the logged-in rider or captain; agents see all
+module.exports.listTickets = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const tickets = await supportService.listTickets(getRequester(req), {
+            status: req.query.status,
+            category: req.query.category,
+            rideId: req.query.rideId
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: tickets
+        });
+    } catch (err) {
+        return handleError(res, err, 'listTickets');
+    }
+};
+
+module.exports.getTicket = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ticket = await supportService.getTicket(req.params.id, getRequester(req));
+        return res.status(200).json({
+            success: true,
+            data: ticket
+        });
+    } catch (err) {
+        return handleError(res, err, 'getTicket');
+    }
+};
+
+module.exports.addMessage = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ticket = await supportService.addMessage({
+            ticketId: req.params.id,
+            requester: getRequester(req),
+            text: req.body.text,
+            internal: req.body.internal
+        });
+
+        return res.status(201).json({
+            success: true,
+            data: ticket
+        });
+    } catch (err) {
+        return handleError(res, err, 'addMessage');
+    }
+};
+
+module.exports.updateStatus = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ticket = await supportService.updateStatus({
+            ticketId: req.params.id,
+            requester: getRequester(req),
+            status: req.body.status
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Ticket marked as ${ticket.status}`,
+            data: ticket
+        });
+    } catch (err) {
+        return handleError(res, err, 'updateStatus');
+    }
+};
+
+// Partial refund of the ride's fare (agents only)
+module.exports.issueRefund = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ticket = await supportService.issueRefund({
+            ticketId: req.params.id,
+            adminId: req.user._id,
+            amount: req.body.amount,
+            note: req.body.note
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Refund issued',
+            data: ticket
+        });
+    } catch (err) {
+        return handleError(res, err, 'issueRefund');
+    }
+};
+
+// Correct the ride's fare (agents only)
+module.exports.adjustFare = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ticket = await supportService.adjustFare({
+            ticketId: req.params.id,
+            adminId: req.user._id,
+            fare: req.body.fare,
+            note: req.body.note
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Fare adjusted',
+            data: ticket
+        });
+    } catch (err) {
+        return handleError(res, err, 'adjustFare');
+    }
+};
@@ -89,3 +89,58 @@ module.exports.authCaptain = async (req, res, next) => {
         });
     }
 };
+
+
+module.exports.authAdmin = async (req, res, next) => {
+    return module.exports.authUser(req, res, () => {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin access required'
+            });
+        }
+        return next();
+    });
+};
+
+// Accepts either a user or a captain token, setting req.user or req.captain accordingly
+module.exports.authUserOrCaptain = async (req, res, next) => {
+    try {
+        const token = getTokenFromRequest(req);
+        if (!token) {
+            return res.status(401).json({ 
+                success: false,
+                message: 'No token provided' 
+            });
+        }
+
+        const decoded = await verifyToken(token);
+        if (decoded.type === 'Captain') {
+            const captain = await captainModel.findById(decoded._id);
+            if (!captain) {
+                return res.status(401).json({ 
+                    success: false,
+                    message: 'Captain not found' 
+                });
+            }
+            req.captain = captain;
+        } else {
+            const user = await userModel.findById(decoded._id);
+            if (!user) {
+                return res.status(401).json({ 
+                    success: false,
+                    message: 'User not found' 
+                });
+            }
+            req.user = user;
+        }
+
+        return next();
+    } catch (err) {
+        console.error('Auth error:', err);
+        return res.status(401).json({ 
+            success: false,
+            message: err.message || 'Unauthorized access' 
+        });
+    }
+};
\ No newline at end of file
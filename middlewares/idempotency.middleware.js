@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const idempotencyKeyModel = require('../models/idempotencyKey.model');
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ body: req.body || {}, query: req.query || {} }))
+    .digest('hex');
+
+/**
+ * Honor an `Idempotency-Key` header on mutating routes. The first response for a
+ * key is stored and replayed for retries; a retry that arrives while the first
+ * request is still running gets a 409. Must run after an auth middleware.
+ */
+module.exports.idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const account = req.user || req.captain;
+    const scope = {
+        key,
+        owner: account ? account._id.toString() : 'anonymous',
+        route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`
+    };
+    const requestHash = hashRequest(req);
+
+    let record;
+    try {
+        record = await idempotencyKeyModel.create({ ...scope, requestHash });
+    } catch (err) {
+        if (err.code !== 11000) {
+            console.error('Idempotency error:', err);
+            return next();
+        }
+
+        let existing;
+        try {
+            existing = await idempotencyKeyModel.findOne(scope);
+        } catch (lookupError) {
+            // Never reject: an unhandled rejection here would take the process down
+            console.error('Idempotency lookup error:', lookupError);
+            return res.status(500).json({
+                success: false,
+                message: 'Could not check Idempotency-Key, please retry'
+            });
+        }
+        if (!existing) {
+            // Expired between the insert and the lookup; treat as a fresh request
+            return next();
+        }
+        if (existing.requestHash !== requestHash) {
+            return res.status(422).json({
+                success: false,
+                message: 'Idempotency-Key was already used with a different request'
+            });
+        }
+        if (existing.status === 'processing') {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is still being processed'
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the response so retries get exactly what the first call returned
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        captured = true;
+        const update = res.statusCode >= 500
+            // Server errors are not final; let the client retry with the same key
+            ? idempotencyKeyModel.deleteOne({ _id: record._id })
+            : idempotencyKeyModel.updateOne({ _id: record._id }, {
+                status: 'completed',
+                responseStatus: res.statusCode,
+                responseBody: JSON.parse(JSON.stringify(body))
+            });
+        update.catch(error => console.error('Error saving idempotent response:', error));
+
+        return originalJson(body);
+    };
+
+    // Don't leave the key locked if the handler ended without a JSON response
+    res.on('close', () => {
+        if (!captured) {
+            idempotencyKeyModel.deleteOne({ _id: record._id })
+                .catch(error => console.error('Error releasing idempotency key:', error));
+        }
+    });
+
+    return next();
+};
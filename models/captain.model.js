@@ -73,6 +73,23 @@ const captainSchema = new mongoose.Schema({
   lastSeen: {
     type: Date,
   },
+  // Seats taken by the captain's active rides; pool matching claims seats against vehicle.capacity
+  seatsTaken: {
+    type: Number,
+    default: 0,
+  },
+  // Running counters kept up to date as offers are answered and rides progress
+  stats: {
+    offersReceived: { type: Number, default: 0 },
+    offersAccepted: { type: Number, default: 0 },
+    offersDeclined: { type: Number, default: 0 },
+    offersExpired: { type: Number, default: 0 },
+    ridesAccepted: { type: Number, default: 0 },
+    ridesCompleted: { type: Number, default: 0 },
+    ridesCancelled: { type: Number, default: 0 }, // cancelled by the captain after accepting
+    ratingCount: { type: Number, default: 0 },
+    ratingSum: { type: Number, default: 0 },
+  },
 }, {
   timestamps: true
 });
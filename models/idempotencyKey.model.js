@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400;
+
+// First response to a mutating request, replayed when the client retries with the same key
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    // Account that sent the request; keys are only unique per caller and route
+    owner: {
+        type: String,
+        required: true
+    },
+    route: {
+        type: String,
+        required: true
+    },
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: IDEMPOTENCY_TTL_SECONDS
+    }
+});
+
+idempotencyKeySchema.index({ key: 1, owner: 1, route: 1 }, { unique: true });
+
+module.exports = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const actorSchema = {
+    type: {
+        type: String,
+        enum: ['User', 'Captain', 'Admin'],
+        required: true
+    },
+    id: mongoose.Schema.Types.ObjectId
+};
+
+const lostItemReportSchema = new mongoose.Schema({
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Captain',
+        required: true
+    },
+    description: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    contactPhone: String,
+    status: {
+        type: String,
+        enum: ['reported', 'found', 'returned', 'closed'],
+        default: 'reported'
+    },
+    // Optional fee the captain asks for bringing the item back; charged when it is returned
+    returnFee: {
+        amount: {
+            type: Number,
+            min: [0, 'Return fee cannot be negative'],
+            default: 0
+        },
+        currency: {
+            type: String,
+            default: 'USD'
+        },
+        chargedAt: Date
+    },
+    // Rider and captain can message each other until this time
+    chatExpiresAt: {
+        type: Date,
+        required: true
+    },
+    messages: [{
+        sender: actorSchema,
+        text: {
+            type: String,
+            required: true,
+            maxlength: [1000, 'Message cannot exceed 1000 characters']
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    history: [{
+        _id: false,
+        status: String,
+        actor: actorSchema,
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+lostItemReportSchema.index({ ride: 1, status: 1 });
+// At most one open (not closed) report per ride
+lostItemReportSchema.index(
+    { ride: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['reported', 'found', 'returned'] } } }
+);
+lostItemReportSchema.index({ user: 1, createdAt: -1 });
+lostItemReportSchema.index({ captain: 1, createdAt: -1 });
+
+const lostItemReportModel = mongoose.model('LostItemReport', lostItemReportSchema);
+
+module.exports = lostItemReportModel;
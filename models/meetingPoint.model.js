@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Curated pickup spot (station entrance, mall gate) suggested to riders who pin a pickup nearby
+const meetingPointSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [80, 'Name cannot exceed 80 characters']
+    },
+    address: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Shown to both rider and captain, e.g. "Wait by the taxi bay, level 0"
+    instructions: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Instructions cannot exceed 300 characters']
+    },
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+    city: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+meetingPointSchema.index({ location: '2dsphere' });
+
+const MeetingPoint = mongoose.model('MeetingPoint', meetingPointSchema);
+
+module.exports = MeetingPoint;
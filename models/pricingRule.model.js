@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const pricingRuleSchema = new mongoose.Schema({
+    city: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+        default: 'default'
+    },
+    vehicleType: {
+        type: String,
+        required: true,
+        enum: ['car', 'moto', 'auto']
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    baseFare: {
+        type: Number,
+        required: true,
+        min: [0, 'Base fare cannot be negative']
+    },
+    perKmRate: {
+        type: Number,
+        required: true,
+        min: [0, 'Per km rate cannot be negative']
+    },
+    perMinuteRate: {
+        type: Number,
+        required: true,
+        min: [0, 'Per minute rate cannot be negative']
+    },
+    minFare: {
+        type: Number,
+        required: true,
+        min: [0, 'Minimum fare cannot be negative']
+    },
+    maxFare: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: function(v) {
+                return v >= this.minFare;
+            },
+            message: 'Maximum fare must not be below the minimum fare'
+        }
+    },
+    // Hourly rental packages; built-in rental rates apply when omitted
+    rental: {
+        hourlyRate: { type: Number, min: 0 },
+        includedKmPerHour: { type: Number, min: 0 },
+        extraKmRate: { type: Number, min: 0 },
+        extraMinuteRate: { type: Number, min: 0 }
+    },
+    effectiveFrom: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+pricingRuleSchema.index({ city: 1, vehicleType: 1, version: 1 }, { unique: true });
+pricingRuleSchema.index({ city: 1, vehicleType: 1, effectiveFrom: -1 });
+
+const pricingRuleModel = mongoose.model('PricingRule', pricingRuleSchema);
+
+module.exports = pricingRuleModel;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const locationSchema = {
+    address: {
+        type: String,
+        required: true
+    },
+    coordinates: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+    notes: String
+};
+
+// A commute the rider takes on the same days and time every week; concrete rides are created from it ahead of time
+const recurringRideSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    pickup: locationSchema,
+    destination: locationSchema,
+    vehicleType: {
+        type: String,
+        enum: ['auto', 'car', 'moto'],
+        required: true
+    },
+    city: String,
+    // 0 = Sunday ... 6 = Saturday, in the schedule's timezone
+    daysOfWeek: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        validate: {
+            validator: days => days.length > 0,
+            message: 'Pick at least one day of the week'
+        }
+    },
+    // Pickup time, HH:mm
+    time: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm']
+    },
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    status: {
+        type: String,
+        enum: ['active', 'paused', 'ended'],
+        default: 'active'
+    },
+    // Paused schedules resume on their own after this date (YYYY-MM-DD); open-ended when unset
+    pausedUntil: String,
+    // Dates (YYYY-MM-DD) the rider will not travel
+    skipDates: [String],
+    // Dates (YYYY-MM-DD) that could not be booked; the rider was told once and they are not retried
+    failedDates: [String]
+}, {
+    timestamps: true
+});
+
+recurringRideSchema.index({ status: 1 });
+recurringRideSchema.index({ user: 1, createdAt: -1 });
+
+const RecurringRide = mongoose.model('RecurringRide', recurringRideSchema);
+
+module.exports = RecurringRide;
@@ -10,11 +10,31 @@ const rideSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Captain'
     },
+    // Set when the booker rides for someone else; the guest gets the OTP and tracking link
+    passenger: {
+        name: {
+            type: String,
+            trim: true
+        },
+        phone: {
+            type: String,
+            trim: true
+        },
+        trackingToken: {
+            type: String,
+            select: false
+        }
+    },
     pickup: {
         address: {
             type: String,
             required: true
         },
+        // Pickup notes for the captain, copied from a saved place
+        notes: {
+            type: String,
+            trim: true
+        },
         coordinates: {
             type: {
                 type: String,
@@ -27,6 +47,29 @@ const rideSchema = new mongoose.Schema({
             }
         }
     },
+    // Where the rider dropped the pin, before snapping to a road or moving to a meeting point
+    requestedPickup: {
+        address: String,
+        coordinates: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: [Number]
+        }
+    },
+    pickupAdjustment: {
+        type: {
+            type: String,
+            enum: ['snapped', 'meeting-point']
+        },
+        distance: Number, // metres between the requested and actual pickup
+        street: String,
+        meetingPoint: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MeetingPoint'
+        }
+    },
     destination: {
         address: {
             type: String,
@@ -44,17 +87,90 @@ const rideSchema = new mongoose.Schema({
             }
         }
     },
+    // Intermediate waypoints, visited in array order between pickup and destination
+    stops: [{
+        address: {
+            type: String,
+            required: true
+        },
+        coordinates: {
+            type: {
+                type: String,
+                enum: ['Point'],
+                default: 'Point'
+            },
+            coordinates: {
+                type: [Number],
+                required: true
+            }
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'reached'],
+            default: 'pending'
+        },
+        reachedAt: Date
+    }],
+    // One leg per segment of the route: pickup -> stops... -> destination
+    legs: [{
+        _id: false,
+        distance: Number,
+        duration: Number
+    }],
     vehicleType: {
         type: String,
         required: true,
         enum: ['car', 'moto', 'auto']
     },
+    rideType: {
+        type: String,
+        enum: ['standard', 'pool', 'rental'],
+        default: 'standard'
+    },
+    // Hourly rental package, priced when booked; overage is filled in at completion
+    rental: {
+        hours: Number,
+        includedKm: Number,
+        packagePrice: Number,
+        extraKmRate: Number,
+        extraMinuteRate: Number,
+        overage: {
+            extraMinutes: Number,
+            extraKm: Number,
+            timeCharge: Number,
+            distanceCharge: Number,
+            amount: Number
+        }
+    },
+    seats: {
+        type: Number,
+        default: 1,
+        min: [1, 'At least one seat is required']
+    },
+    // Rides sharing a captain on a pool trip share the poolGroup id of the first ride
+    poolGroup: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride'
+    },
     status: {
         type: String,
         required: true,
-        enum: ['requested', 'accepted', 'on-the-way', 'in-progress', 'completed', 'cancelled'],
+        enum: ['scheduled', 'requested', 'accepted', 'on-the-way', 'in-progress', 'completed', 'cancelled'],
         default: 'requested'
     },
+    scheduledFor: Date,
+    serviceArea: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceArea'
+    },
+    // Commute schedule this ride was created from
+    recurringRide: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringRide'
+    },
+    // Set while the ride holds its schedule's slot at scheduledFor; cleared when a schedule change frees the date
+    recurringSlot: Boolean,
+    dispatchedAt: Date,
     fare: {
         amount: {
             type: Number,
@@ -66,18 +182,100 @@ const rideSchema = new mongoose.Schema({
             default: 'USD'
         }
     },
+    // Surge applied when the ride was quoted
+    surgeMultiplier: {
+        type: Number,
+        default: 1
+    },
+    surgeCell: String,
+    // Pricing rule the fare was computed with (version 0 = built-in rates)
+    pricing: {
+        ruleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PricingRule'
+        },
+        version: Number,
+        city: String
+    },
+    // Signed fare quote the ride was booked with, if any
+    quoteId: String,
+    distance: Number,
+    duration: Number,
+    rating: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    review: {
+        type: String,
+        trim: true
+    },
     estimatedArrivalTime: {
         type: Date,
         validate: {
             validator: function(v) {
+                // Only when the ETA is being set: a stored ETA falls into the past as the ride goes on
+                if (this instanceof mongoose.Document && !this.isNew && !this.isModified('estimatedArrivalTime')) {
+                    return true;
+                }
                 return v > new Date();
             },
             message: 'Estimated arrival time must be in the future'
         }
     },
     actualArrivalTime: Date,
+    // Distance driven while in progress, accumulated from captain location updates (meters)
+    trackedDistance: {
+        type: Number,
+        default: 0
+    },
+    lastTrackedPoint: {
+        type: [Number],
+        default: undefined
+    },
     actualEndTime: Date,
+    paymentMethod: String,
+    // Total refunded to the rider through support
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Refunded amount cannot be negative']
+    },
+    tip: {
+        type: Number,
+        min: [0, 'Tip cannot be negative']
+    },
+    // Fare split with other riders; the requester is always the first participant
+    split: {
+        mode: {
+            type: String,
+            enum: ['even', 'custom']
+        },
+        participants: [{
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            status: {
+                type: String,
+                enum: ['invited', 'accepted', 'declined'],
+                default: 'invited'
+            },
+            sharePercent: Number, // custom splits only
+            amount: Number, // allocated fare when the ride completes
+            tip: Number,
+            respondedAt: Date
+        }],
+        // Bumped on every change so edits made from a stale read can be detected
+        version: Number
+    },
     cancellationReason: String,
+    cancelledBy: {
+        type: String,
+        enum: ['User', 'Captain', 'System']
+    },
     otp: {
         type: String,
         required: true,
@@ -101,6 +299,18 @@ rideSchema.index({ status: 1 });
 rideSchema.index({ user: 1, status: 1 });
 rideSchema.index({ captain: 1, status: 1 });
 rideSchema.index({ createdAt: -1 });
+rideSchema.index({ user: 1, createdAt: -1 });
+rideSchema.index({ captain: 1, createdAt: -1 });
+rideSchema.index({ status: 1, scheduledFor: 1 });
+rideSchema.index({ poolGroup: 1, status: 1 });
+rideSchema.index({ quoteId: 1 }, { unique: true, sparse: true });
+rideSchema.index({ 'passenger.trackingToken': 1 }, { unique: true, sparse: true });
+rideSchema.index({ 'split.participants.user': 1, status: 1 });
+// At most one ride per schedule occurrence, so concurrent booking runs cannot both book it
+rideSchema.index(
+    { recurringRide: 1, scheduledFor: 1 },
+    { unique: true, partialFilterExpression: { recurringSlot: true } }
+);
 
 const rideModel = mongoose.model('Ride', rideSchema);
 
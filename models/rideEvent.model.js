@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const rideEventSchema = new mongoose.Schema({
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'ride-created',
+            'status-changed',
+            'ride-cancelled',
+            'offer-sent',
+            'offer-declined',
+            'offer-expired',
+            'dispatch-failed',
+            'otp-attempt',
+            'stop-reached',
+            'location-milestone',
+            'fare-changed',
+            'receipt-sent',
+            'lost-item'
+        ]
+    },
+    actor: {
+        type: {
+            type: String,
+            enum: ['User', 'Captain', 'System', 'Admin'],
+            default: 'System'
+        },
+        id: mongoose.Schema.Types.ObjectId
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+rideEventSchema.index({ ride: 1, createdAt: 1 });
+
+const rideEventModel = mongoose.model('RideEvent', rideEventSchema);
+
+module.exports = rideEventModel;
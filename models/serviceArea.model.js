@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Where rides are offered: 'city' areas define coverage and local settings, 'no-go' areas carve out places rides cannot start or end
+const serviceAreaSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['city', 'no-go'],
+        default: 'city'
+    },
+    // Pricing rules are looked up by this city key
+    city: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    geometry: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon'],
+            required: true
+        },
+        coordinates: {
+            type: Array,
+            required: true
+        }
+    },
+    settings: {
+        currency: {
+            type: String,
+            uppercase: true,
+            default: 'USD'
+        },
+        timezone: {
+            type: String,
+            default: 'UTC'
+        },
+        vehicleTypes: {
+            type: [{ type: String, enum: ['auto', 'car', 'moto'] }],
+            default: ['auto', 'car', 'moto']
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+serviceAreaSchema.index({ geometry: '2dsphere' });
+serviceAreaSchema.index({ type: 1, isActive: 1 });
+
+const ServiceArea = mongoose.model('ServiceArea', serviceAreaSchema);
+
+module.exports = ServiceArea;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const actorSchema = {
+    type: {
+        type: String,
+        enum: ['User', 'Captain', 'Admin'],
+        required: true
+    },
+    id: mongoose.Schema.Types.ObjectId
+};
+
+const supportTicketSchema = new mongoose.Schema({
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ride',
+        required: true
+    },
+    openedBy: actorSchema,
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Captain'
+    },
+    category: {
+        type: String,
+        enum: ['overcharge', 'route', 'safety', 'behaviour'],
+        required: true
+    },
+    priority: {
+        type: String,
+        enum: ['normal', 'high'],
+        default: 'normal'
+    },
+    description: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    status: {
+        type: String,
+        enum: ['open', 'in-progress', 'resolved', 'closed'],
+        default: 'open'
+    },
+    // Ride as it was when the ticket was opened, so later changes don't alter the evidence
+    snapshot: {
+        status: String,
+        fare: {
+            amount: Number,
+            currency: String
+        },
+        surgeMultiplier: Number,
+        pricing: mongoose.Schema.Types.Mixed,
+        route: mongoose.Schema.Types.Mixed,
+        timeline: [mongoose.Schema.Types.Mixed]
+    },
+    messages: [{
+        author: actorSchema,
+        text: {
+            type: String,
+            required: true,
+            maxlength: [2000, 'Message cannot exceed 2000 characters']
+        },
+        // Agent-only notes, hidden from riders and captains
+        internal: {
+            type: Boolean,
+            default: false
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    adjustments: [{
+        type: {
+            type: String,
+            enum: ['refund', 'fare-adjustment'],
+            required: true
+        },
+        amount: Number, // refund amount, or the new fare for an adjustment
+        previousFare: Number,
+        note: String,
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    resolvedAt: Date
+}, {
+    timestamps: true
+});
+
+supportTicketSchema.index({ status: 1, priority: -1, createdAt: 1 });
+supportTicketSchema.index({ ride: 1 });
+supportTicketSchema.index({ 'openedBy.id': 1, createdAt: -1 });
+
+const supportTicketModel = mongoose.model('SupportTicket', supportTicketSchema);
+
+module.exports = supportTicketModel;
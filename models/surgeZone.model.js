@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Smoothed surge state for one grid cell; see services/surge.service.js
+const surgeZoneSchema = new mongoose.Schema({
+    cell: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    center: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+    multiplier: {
+        type: Number,
+        default: 1
+    },
+    rawMultiplier: {
+        type: Number,
+        default: 1
+    },
+    openRequests: {
+        type: Number,
+        default: 0
+    },
+    availableCaptains: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+surgeZoneSchema.index({ center: '2dsphere' });
+
+const surgeZoneModel = mongoose.model('SurgeZone', surgeZoneSchema);
+
+module.exports = surgeZoneModel;
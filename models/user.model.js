@@ -3,6 +3,45 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
+// A rider's saved address, e.g. home or work, usable as a ride pickup or destination
+const savedPlaceSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [40, 'Label must be at most 40 characters long'],
+  },
+  type: {
+    type: String,
+    enum: ['home', 'work', 'other'],
+    default: 'other',
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  coordinates: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  // Shown to the captain, e.g. "Gate 2, ring the bell"
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Pickup notes must be at most 200 characters long'],
+  },
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   fullname: {
     firstname: {
@@ -26,6 +65,12 @@ const userSchema = new mongoose.Schema({
     required: true,
     select: false,
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+  },
+  savedPlaces: [savedPlaceSchema],
 }, {
   timestamps: true
 });
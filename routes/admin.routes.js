@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const authMiddleware = require('../middlewares/auth.middleware');
+const pricingController = require('../controllers/pricing.controller');
+const meetingPointController = require('../controllers/meetingPoint.controller');
+const serviceAreaController = require('../controllers/serviceArea.controller');
+
+const VEHICLE_TYPES = ['auto', 'car', 'moto'];
+
+// Publish a new pricing rule version for a city and vehicle type
+router.post('/pricing-rules',
+    [
+        body('city').optional().isString().trim().notEmpty(),
+        body('vehicleType').isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+        body('baseFare').isFloat({ min: 0 }).withMessage('Base fare must be a non-negative number').toFloat(),
+        body('perKmRate').isFloat({ min: 0 }).withMessage('Per km rate must be a non-negative number').toFloat(),
+        body('perMinuteRate').isFloat({ min: 0 }).withMessage('Per minute rate must be a non-negative number').toFloat(),
+        body('minFare').isFloat({ min: 0 }).withMessage('Minimum fare must be a non-negative number').toFloat(),
+        body('maxFare').isFloat({ min: 0 }).withMessage('Maximum fare must be a non-negative number').toFloat(),
+        body('effectiveFrom').optional().isISO8601().withMessage('Effective date must be an ISO 8601 date'),
+        body('rental.hourlyRate').optional().isFloat({ min: 0 }).withMessage('Rental hourly rate must be a non-negative number').toFloat(),
+        body('rental.includedKmPerHour').if(body('rental.hourlyRate').exists()).isFloat({ min: 0 }).withMessage('Included km per hour is required for rental rates').toFloat(),
+        body('rental.extraKmRate').if(body('rental.hourlyRate').exists()).isFloat({ min: 0 }).withMessage('Extra km rate is required for rental rates').toFloat(),
+        body('rental.extraMinuteRate').if(body('rental.hourlyRate').exists()).isFloat({ min: 0 }).withMessage('Extra minute rate is required for rental rates').toFloat(),
+        body('notes').optional().isString().isLength({ max: 500 })
+    ],
+    authMiddleware.authAdmin,
+    pricingController.createPricingRule
+);
+
+// List pricing rules and the rates currently in effect
+router.get('/pricing-rules',
+    [
+        query('city').optional().isString().trim().notEmpty(),
+        query('vehicleType').optional().isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type')
+    ],
+    authMiddleware.authAdmin,
+    pricingController.listPricingRules
+);
+
+// Compare a rule against the active one for a sample trip
+router.post('/pricing-rules/preview',
+    [
+        body('ruleId').optional().isMongoId(),
+        body('rule').optional().isObject(),
+        body('rule.vehicleType').optional().isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+        body('rule.baseFare').optional().isFloat({ min: 0 }).toFloat(),
+        body('rule.perKmRate').optional().isFloat({ min: 0 }).toFloat(),
+        body('rule.perMinuteRate').optional().isFloat({ min: 0 }).toFloat(),
+        body('rule.minFare').optional().isFloat({ min: 0 }).toFloat(),
+        body('rule.maxFare').optional().isFloat({ min: 0 }).toFloat(),
+        body('distanceKm').isFloat({ min: 0 }).withMessage('Distance must be a non-negative number').toFloat(),
+        body('durationMinutes').isFloat({ min: 0 }).withMessage('Duration must be a non-negative number').toFloat(),
+        body('surgeMultiplier').optional().isFloat({ min: 1 }).withMessage('Surge multiplier must be at least 1')
+    ],
+    authMiddleware.authAdmin,
+    pricingController.previewPricingRule
+);
+
+// Curated meeting points suggested to riders who pin a pickup nearby
+const meetingPointValidators = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+    return [
+        field('name').isString().trim().isLength({ min: 2, max: 80 }).withMessage('Name must be 2-80 characters'),
+        field('address').isString().trim().notEmpty().withMessage('Address is required'),
+        body('instructions').optional().isString().trim().isLength({ max: 300 }),
+        field('coordinates').isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [lng, lat]'),
+        body('coordinates.0').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+        body('coordinates.1').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+        body('city').optional().isString().trim().notEmpty()
+    ];
+};
+
+router.post('/meeting-points',
+    meetingPointValidators(false),
+    authMiddleware.authAdmin,
+    meetingPointController.createMeetingPoint
+);
+
+router.get('/meeting-points',
+    [
+        query('city').optional().isString().trim().notEmpty()
+    ],
+    authMiddleware.authAdmin,
+    meetingPointController.listMeetingPoints
+);
+
+router.patch('/meeting-points/:id',
+    [
+        param('id').isMongoId(),
+        ...meetingPointValidators(true),
+        body('isActive').optional().isBoolean().toBoolean()
+    ],
+    authMiddleware.authAdmin,
+    meetingPointController.updateMeetingPoint
+);
+
+router.delete('/meeting-points/:id',
+    [
+        param('id').isMongoId()
+    ],
+    authMiddleware.authAdmin,
+    meetingPointController.deleteMeetingPoint
+);
+
+// Service areas: 'city' areas define where rides are offered and their local settings, 'no-go' areas exclude places inside them
+const serviceAreaValidators = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+    return [
+        field('name').isString().trim().isLength({ min: 2, max: 80 }).withMessage('Name must be 2-80 characters'),
+        body('type').optional().isIn(['city', 'no-go']).withMessage('Type must be city or no-go'),
+        body('city').optional().isString().trim().notEmpty(),
+        field('geometry.type').isIn(['Polygon', 'MultiPolygon']).withMessage('Geometry must be a Polygon or MultiPolygon'),
+        field('geometry.coordinates').isArray({ min: 1 }).withMessage('Geometry coordinates are required'),
+        body('settings.currency').optional().isString().trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+        body('settings.timezone').optional().isString().trim().notEmpty(),
+        body('settings.vehicleTypes').optional().isArray({ min: 1 }).withMessage('Vehicle types must be a non-empty array'),
+        body('settings.vehicleTypes.*').isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type')
+    ];
+};
+
+router.post('/service-areas',
+    serviceAreaValidators(false),
+    authMiddleware.authAdmin,
+    serviceAreaController.createServiceArea
+);
+
+router.get('/service-areas',
+    [
+        query('type').optional().isIn(['city', 'no-go']),
+        query('city').optional().isString().trim().notEmpty()
+    ],
+    authMiddleware.authAdmin,
+    serviceAreaController.listServiceAreas
+);
+
+router.patch('/service-areas/:id',
+    [
+        param('id').isMongoId(),
+        ...serviceAreaValidators(true),
+        body('isActive').optional().isBoolean().toBoolean()
+    ],
+    authMiddleware.authAdmin,
+    serviceAreaController.updateServiceArea
+);
+
+router.delete('/service-areas/:id',
+    [
+        param('id').isMongoId()
+    ],
+    authMiddleware.authAdmin,
+    serviceAreaController.deleteServiceArea
+);
+
+module.exports = router;
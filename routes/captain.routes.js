@@ -1,7 +1,7 @@
 const captainController = require('../controllers/captain.controller');
 const express = require('express');
 const router = express.Router();
-const { body } = require("express-validator")
+const { body, query } = require("express-validator")
 const authMiddleware = require('../middlewares/auth.middleware');
 
 // Register a new captain
@@ -41,4 +41,11 @@ router.post('/availability', authMiddleware.authCaptain, [
     body('isAvailable').isBoolean().withMessage('Invalid availability status')
 ], captainController.updateAvailability);
 
+// Get surge heat map
+router.get('/surge-map', authMiddleware.authCaptain, [
+    query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    query('radius').optional().isFloat({ min: 0.1, max: 100 }).withMessage('Invalid radius')
+], captainController.getSurgeMap);
+
 module.exports = router;
\ No newline at end of file
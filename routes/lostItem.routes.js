@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middlewares/auth.middleware');
+const lostItemController = require('../controllers/lostItem.controller');
+
+// Report an item left behind on a completed ride
+router.post('/',
+    [
+        body('rideId').isMongoId().withMessage('Invalid ride id'),
+        body('description').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Description must be 3-500 characters'),
+        body('contactPhone').optional().isMobilePhone('any').withMessage('Invalid contact phone')
+    ],
+    authMiddleware.authUser,
+    lostItemController.createReport
+);
+
+// Reports for the logged-in rider or captain
+router.get('/',
+    authMiddleware.authUserOrCaptain,
+    lostItemController.listReports
+);
+
+// Report details and chat thread
+router.get('/:id',
+    [
+        param('id').isMongoId()
+    ],
+    authMiddleware.authUserOrCaptain,
+    lostItemController.getReport
+);
+
+// Update report status (found, returned, closed)
+router.patch('/:id/status',
+    [
+        param('id').isMongoId(),
+        body('status').isIn(['found', 'returned', 'closed']).withMessage('Status must be found, returned or closed'),
+        body('note').optional().isString().isLength({ max: 500 }),
+        body('returnFee').optional().isFloat({ min: 0 }).withMessage('Return fee must be a non-negative number').toFloat()
+    ],
+    authMiddleware.authUserOrCaptain,
+    lostItemController.updateStatus
+);
+
+// Send a message on the report's chat thread
+router.post('/:id/messages',
+    [
+        param('id').isMongoId(),
+        body('text').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Message must be 1-1000 characters')
+    ],
+    authMiddleware.authUserOrCaptain,
+    lostItemController.addMessage
+);
+
+module.exports = router;
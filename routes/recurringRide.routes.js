@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const authMiddleware = require('../middlewares/auth.middleware');
+const recurringRideController = require('../controllers/recurringRide.controller');
+
+// Pickup and destination are either full locations or saved place ids; all fields optional on update
+const scheduleValidators = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+    const location = (kind, label) => {
+        const locationField = (name) => optional
+            ? body(name).optional()
+            : body(name).if(body(`${kind}PlaceId`).not().exists());
+        return [
+            body(`${kind}PlaceId`).optional().isMongoId().withMessage(`Invalid ${kind} place ID`),
+            locationField(`${kind}.address`).isString().notEmpty().withMessage(`${label} address is required`),
+            body(`${kind}.coordinates.type`).optional().equals('Point').withMessage(`${label} coordinates type must be Point`),
+            locationField(`${kind}.coordinates.coordinates`).isArray({ min: 2, max: 2 }).withMessage(`${label} coordinates must be an array of 2 numbers`),
+            body(`${kind}.coordinates.coordinates.*`).isFloat().withMessage(`${label} coordinates must be numeric`).toFloat()
+        ];
+    };
+
+    return [
+        ...location('pickup', 'Pickup'),
+        ...location('destination', 'Destination'),
+        field('vehicleType').isIn(['auto', 'car', 'moto']).withMessage('Vehicle type must be auto, car or moto'),
+        field('daysOfWeek').isArray({ min: 1, max: 7 }).withMessage('Pick at least one day of the week'),
+        body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of the week are 0 (Sunday) to 6 (Saturday)').toInt(),
+        field('time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must be HH:mm'),
+        body('timezone').optional().isString().notEmpty(),
+        body('city').optional().isString().trim().notEmpty().withMessage('City must be a non-empty string')
+    ];
+};
+
+// Set up a weekly recurring ride
+router.post('/',
+    scheduleValidators(false),
+    authMiddleware.authUser,
+    recurringRideController.createRecurringRide
+);
+
+// The rider's recurring rides and the rides booked from them
+router.get('/',
+    authMiddleware.authUser,
+    recurringRideController.listRecurringRides
+);
+
+router.patch('/:id',
+    [
+        param('id').isMongoId(),
+        ...scheduleValidators(true)
+    ],
+    authMiddleware.authUser,
+    recurringRideController.updateRecurringRide
+);
+
+// End a recurring ride and cancel rides booked from it
+router.delete('/:id',
+    [
+        param('id').isMongoId()
+    ],
+    authMiddleware.authUser,
+    recurringRideController.endRecurringRide
+);
+
+// Skip one date
+router.post('/:id/skip',
+    [
+        param('id').isMongoId(),
+        body('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+    ],
+    authMiddleware.authUser,
+    recurringRideController.skipDate
+);
+
+// Pause until a date (inclusive), or until resumed
+router.post('/:id/pause',
+    [
+        param('id').isMongoId(),
+        body('until').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+    ],
+    authMiddleware.authUser,
+    recurringRideController.pauseRecurringRide
+);
+
+router.post('/:id/resume',
+    [
+        param('id').isMongoId()
+    ],
+    authMiddleware.authUser,
+    recurringRideController.resumeRecurringRide
+);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middlewares/auth.middleware');
+const { idempotent } = require('../middlewares/idempotency.middleware');
 const mapController = require('../controllers/map.controller');
 const rideController = require('../controllers/ride.controller');
-const { query, body } = require('express-validator');
+const { query, body, param } = require('express-validator');
 
 // Map related routes
 router.get('/get-coordinates',
@@ -36,6 +37,9 @@ router.get('/get-route',
 router.get('/get-fare',
     query('pickup').isString(),
     query('destination').isString(),
+    query('stops').optional().isString(),
+    query('city').optional().isString().trim().notEmpty(),
+    query('rentalHours').optional().isInt({ min: 1, max: 12 }).withMessage('Rental hours must be between 1 and 12'),
     authMiddleware.authUser,
     rideController.getFare
 );
@@ -43,19 +47,35 @@ router.get('/get-fare',
 // Create new ride
 router.post('/create',
     [
-      body('pickup.address').isString().notEmpty(),
-      body('pickup.coordinates.type').equals('Point').withMessage('Pickup coordinates type must be Point'),
-      body('pickup.coordinates.coordinates').isArray({ min: 2, max: 2 }).withMessage('Pickup coordinates must be an array of 2 numbers').notEmpty(),
-      body('pickup.coordinates.coordinates.*').isNumeric().withMessage('Pickup coordinates must be numeric'),
-      body('destination.address').isString().notEmpty(),
-      body('destination.coordinates.type').equals('Point').withMessage('Destination coordinates type must be Point'),
-      body('destination.coordinates.coordinates').isArray({ min: 2, max: 2 }).withMessage('Destination coordinates must be an array of 2 numbers').notEmpty(),
-      body('destination.coordinates.coordinates.*').isNumeric().withMessage('Destination coordinates must be numeric'),
+      body('pickupPlaceId').optional().isMongoId().withMessage('Invalid pickup place ID'),
+      body('pickup.address').if(body('pickupPlaceId').not().exists()).isString().notEmpty(),
+      body('pickup.coordinates.type').if(body('pickupPlaceId').not().exists()).equals('Point').withMessage('Pickup coordinates type must be Point'),
+      body('pickup.coordinates.coordinates').if(body('pickupPlaceId').not().exists()).isArray({ min: 2, max: 2 }).withMessage('Pickup coordinates must be an array of 2 numbers').notEmpty(),
+      body('pickup.coordinates.coordinates.*').if(body('pickupPlaceId').not().exists()).isNumeric().withMessage('Pickup coordinates must be numeric'),
+      body('destinationPlaceId').optional().isMongoId().withMessage('Invalid destination place ID'),
+      body('destination.address').if(body('destinationPlaceId').not().exists()).isString().notEmpty(),
+      body('destination.coordinates.type').if(body('destinationPlaceId').not().exists()).equals('Point').withMessage('Destination coordinates type must be Point'),
+      body('destination.coordinates.coordinates').if(body('destinationPlaceId').not().exists()).isArray({ min: 2, max: 2 }).withMessage('Destination coordinates must be an array of 2 numbers').notEmpty(),
+      body('destination.coordinates.coordinates.*').if(body('destinationPlaceId').not().exists()).isNumeric().withMessage('Destination coordinates must be numeric'),
       body('vehicleType').isString().notEmpty(),
       body('fare.amount').isNumeric().withMessage('Fare amount must be numeric').notEmpty(),
-      body('fare.currency').isString().notEmpty()
+      body('fare.currency').isString().notEmpty(),
+      body('scheduledFor').optional().isISO8601().withMessage('Scheduled time must be an ISO 8601 date'),
+      body('stops').optional().isArray().withMessage('Stops must be an array'),
+      body('stops.*.address').optional().isString().notEmpty(),
+      body('stops.*.coordinates.coordinates.*').optional().isNumeric().withMessage('Stop coordinates must be numeric'),
+      body('rideType').optional().isIn(['standard', 'pool', 'rental']).withMessage('Ride type must be standard, pool or rental'),
+      body('rentalHours').optional().isInt({ min: 1, max: 12 }).withMessage('Rental hours must be between 1 and 12'),
+      body('seats').optional().isInt({ min: 1 }).withMessage('Seats must be at least 1'),
+      body('city').optional().isString().trim().notEmpty().withMessage('City must be a non-empty string'),
+      body('quoteId').optional().isJWT().withMessage('Invalid fare quote'),
+      body('meetingPointId').optional().isMongoId().withMessage('Invalid meeting point ID'),
+      body('passenger').optional().isObject().withMessage('Passenger must be an object'),
+      body('passenger.name').if(body('passenger').exists()).isString().trim().isLength({ min: 2, max: 60 }).withMessage('Guest name must be 2-60 characters'),
+      body('passenger.phone').if(body('passenger').exists()).isMobilePhone('any').withMessage('Guest phone number is invalid')
     ],
     authMiddleware.authUser,
+    idempotent,
     rideController.createRide
   );
 
@@ -65,6 +85,7 @@ router.post('/confirm',
         body('rideId').isMongoId(),
     ],
     authMiddleware.authCaptain,
+    idempotent,
     rideController.confirmRide
 );
 
@@ -75,6 +96,7 @@ router.post('/start',
         query('otp').isString().isLength({ min: 6, max: 6 })
     ],
     authMiddleware.authCaptain,
+    idempotent,
     rideController.startRide
 );
 
@@ -86,6 +108,7 @@ router.post('/end',
         body('tip').isNumeric().optional()
     ],
     authMiddleware.authCaptain,
+    idempotent,
     rideController.endRide
 );
 
@@ -96,6 +119,7 @@ router.post('/cancel',
         body('reason').isString().optional()
     ],
     authMiddleware.authUser,
+    idempotent,
     rideController.cancelRide
 );
 
@@ -116,10 +140,126 @@ router.get('/active',
     rideController.getActiveRides
 );
 
+const historyFilters = [
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    query('status').optional().isIn(['completed', 'cancelled']).withMessage('Status must be completed or cancelled'),
+    query('vehicleType').optional().isIn(['car', 'moto', 'auto']).withMessage('Invalid vehicle type'),
+    query('minAmount').optional().isFloat({ min: 0 }).toFloat(),
+    query('maxAmount').optional().isFloat({ min: 0 }).toFloat()
+];
+
 // Get ride history
 router.get('/history',
+    [
+        ...historyFilters,
+        query('cursor').optional().isString(),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    ],
     authMiddleware.authUser,
     rideController.getRideHistory
 );
 
+// Export ride history as CSV
+router.get('/history/export',
+    [
+        ...historyFilters,
+        query('format').optional().isIn(['csv']).withMessage('Only csv export is supported')
+    ],
+    authMiddleware.authUser,
+    rideController.exportRideHistory
+);
+
+// Get upcoming scheduled rides
+router.get('/scheduled',
+    authMiddleware.authUser,
+    rideController.getScheduledRides
+);
+
+// Edit a scheduled ride
+router.put('/scheduled/:rideId',
+    [
+        param('rideId').isMongoId(),
+        body('scheduledFor').optional().isISO8601(),
+        body('pickup.address').optional().isString().notEmpty(),
+        body('pickup.coordinates.coordinates').optional().isArray({ min: 2, max: 2 }),
+        body('destination.address').optional().isString().notEmpty(),
+        body('destination.coordinates.coordinates').optional().isArray({ min: 2, max: 2 }),
+        body('vehicleType').optional().isIn(['auto', 'car', 'moto']),
+        body('stops').optional().isArray()
+    ],
+    authMiddleware.authUser,
+    rideController.updateScheduledRide
+);
+
+// Cancel a scheduled ride
+router.delete('/scheduled/:rideId',
+    [
+        param('rideId').isMongoId(),
+        body('reason').isString().optional()
+    ],
+    authMiddleware.authUser,
+    rideController.cancelScheduledRide
+);
+
+// Get ride event timeline (rider, assigned captain or admin)
+router.get('/:id/timeline',
+    [
+        param('id').isMongoId()
+    ],
+    authMiddleware.authUserOrCaptain,
+    rideController.getRideTimeline
+);
+
+// Live trip status for a guest passenger's tracking link
+router.get('/track/:token',
+    [
+        param('token').isHexadecimal().isLength({ min: 48, max: 48 }).withMessage('Invalid tracking link')
+    ],
+    rideController.trackGuestRide
+);
+
+// Invite registered riders to split the fare
+router.post('/:id/split/invite',
+    [
+        param('id').isMongoId(),
+        body('mode').optional().isIn(['even', 'custom']).withMessage('Mode must be even or custom'),
+        body('participants').isArray({ min: 1 }).withMessage('Participants must be a non-empty array'),
+        body('participants.*.email').isEmail().withMessage('Each participant needs a valid email'),
+        body('participants.*.sharePercent').optional().isFloat({ gt: 0, lt: 100 }).withMessage('Share must be between 0 and 100').toFloat()
+    ],
+    authMiddleware.authUser,
+    rideController.inviteToSplit
+);
+
+// Accept or decline a split invitation
+router.post('/:id/split/respond',
+    [
+        param('id').isMongoId(),
+        body('accept').isBoolean().withMessage('Accept must be true or false').toBoolean()
+    ],
+    authMiddleware.authUser,
+    rideController.respondToSplit
+);
+
+// Receipt for a completed ride (JSON by default, ?format=html or ?format=pdf)
+router.get('/:id/receipt',
+    [
+        param('id').isMongoId(),
+        query('format').optional().isIn(['json', 'html', 'pdf']).withMessage('Format must be json, html or pdf')
+    ],
+    authMiddleware.authUserOrCaptain,
+    rideController.getRideReceipt
+);
+
+// Email the receipt again
+router.post('/:id/receipt/resend',
+    [
+        param('id').isMongoId(),
+        body('email').optional().isEmail().withMessage('Invalid email')
+    ],
+    authMiddleware.authUser,
+    rideController.resendRideReceipt
+);
+
 module.exports = router;
\ No newline at end of file
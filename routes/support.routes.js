@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const authMiddleware = require('../middlewares/auth.middleware');
+const supportController = require('../controllers/support.controller');
+
+const CATEGORIES = ['overcharge', 'route', 'safety', 'behaviour'];
+const STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+
+// Open a ticket against a ride (rider or captain)
+router.post('/tickets',
+    [
+        body('rideId').isMongoId().withMessage('Invalid ride id'),
+        body('category').isIn(CATEGORIES).withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+        body('description').isString().trim().isLength({ min: 10, max: 2000 }).withMessage('Description must be 10-2000 characters')
+    ],
+    authMiddleware.authUserOrCaptain,
+    supportController.openTicket
+);
+
+// List tickets (own tickets, or all tickets for agents)
+router.get('/tickets',
+    [
+        query('status').optional().isIn(STATUSES),
+        query('category').optional().isIn(CATEGORIES),
+        query('rideId').optional().isMongoId()
+    ],
+    authMiddleware.authUserOrCaptain,
+    supportController.listTickets
+);
+
+// Ticket details with the ride snapshot and conversation
+router.get('/tickets/:id',
+    [
+        param('id').isMongoId()
+    ],
+    authMiddleware.authUserOrCaptain,
+    supportController.getTicket
+);
+
+// Reply on a ticket
+router.post('/tickets/:id/messages',
+    [
+        param('id').isMongoId(),
+        body('text').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+        body('internal').optional().isBoolean().toBoolean()
+    ],
+    authMiddleware.authUserOrCaptain,
+    supportController.addMessage
+);
+
+// Change ticket status
+router.patch('/tickets/:id/status',
+    [
+        param('id').isMongoId(),
+        body('status').isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`)
+    ],
+    authMiddleware.authUserOrCaptain,
+    supportController.updateStatus
+);
+
+// Issue a partial refund (agents)
+router.post('/tickets/:id/refund',
+    [
+        param('id').isMongoId(),
+        body('amount').isFloat({ gt: 0 }).withMessage('Refund amount must be positive').toFloat(),
+        body('note').optional().isString().isLength({ max: 500 })
+    ],
+    authMiddleware.authAdmin,
+    supportController.issueRefund
+);
+
+// Adjust the ride's fare (agents)
+router.post('/tickets/:id/fare-adjustment',
+    [
+        param('id').isMongoId(),
+        body('fare').isFloat({ min: 0 }).withMessage('Fare must be a non-negative number').toFloat(),
+        body('note').optional().isString().isLength({ max: 500 })
+    ],
+    authMiddleware.authAdmin,
+    supportController.adjustFare
+);
+
+module.exports = router;
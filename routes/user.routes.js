@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require("express-validator")
+const { body, param } = require("express-validator")
 const userController = require('../controllers/user.controller');
+const savedPlaceController = require('../controllers/savedPlace.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
 
 
@@ -24,6 +25,39 @@ router.get('/profile', authMiddleware.authUser, userController.getUserProfile)
 
 router.get('/logout', authMiddleware.authUser, userController.logoutUser)
 
+// Saved places (home, work, favourites) usable as ride pickup or destination
+const savedPlaceValidators = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+    return [
+        field('label').isString().trim().isLength({ min: 1, max: 40 }).withMessage('Label must be 1-40 characters'),
+        body('type').optional().isIn(['home', 'work', 'other']).withMessage('Type must be home, work or other'),
+        field('address').isString().trim().notEmpty().withMessage('Address is required'),
+        field('coordinates.type').equals('Point').withMessage('Coordinates type must be Point'),
+        field('coordinates.coordinates').isArray({ min: 2, max: 2 }).withMessage('Coordinates must be an array of 2 numbers'),
+        body('coordinates.coordinates.*').isFloat().withMessage('Coordinates must be numeric').toFloat(),
+        body('notes').optional().isString().trim().isLength({ max: 200 }).withMessage('Pickup notes must be at most 200 characters')
+    ];
+};
+
+router.get('/places', authMiddleware.authUser, savedPlaceController.listSavedPlaces)
+
+router.post('/places', savedPlaceValidators(false), authMiddleware.authUser, savedPlaceController.addSavedPlace)
+
+router.put('/places/:placeId', [
+    param('placeId').isMongoId().withMessage('Invalid place ID'),
+    ...savedPlaceValidators(true)
+],
+    authMiddleware.authUser,
+    savedPlaceController.updateSavedPlace
+)
+
+router.delete('/places/:placeId', [
+    param('placeId').isMongoId().withMessage('Invalid place ID')
+],
+    authMiddleware.authUser,
+    savedPlaceController.removeSavedPlace
+)
+
 
 
 module.exports = router;
\ No newline at end of file
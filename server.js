@@ -4,10 +4,15 @@ const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const { initializeSocket } = require('./socket');
+const { startScheduler } = require('./services/scheduler.service');
 const userRoutes = require('./routes/user.routes');
 const captainRoutes = require('./routes/captain.routes');
 const rideRoutes = require('./routes/ride.routes');
 const mapsRoutes = require('./routes/maps.routes');
+const adminRoutes = require('./routes/admin.routes');
+const lostItemRoutes = require('./routes/lostItem.routes');
+const supportRoutes = require('./routes/support.routes');
+const recurringRideRoutes = require('./routes/recurringRide.routes');
 
 const app = express();
 const server = http.createServer(app);
@@ -17,7 +22,8 @@ app.get('/', (req, res) => res.json({ message: 'Welcome to the Uber API' }));
 // Middleware
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'https://uber-clone-krnl.onrender.com',
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Idempotent-Replayed']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -30,6 +36,10 @@ app.use('/api/user', userRoutes);
 app.use('/api/captain', captainRoutes);
 app.use('/api/ride', rideRoutes);
 app.use('/api/maps', mapsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/lost-items', lostItemRoutes);
+app.use('/api/support', supportRoutes);
+app.use('/api/recurring-rides', recurringRideRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -54,6 +64,7 @@ app.use((err, req, res, next) => {
 mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
         console.log('Connected to MongoDB');
+        startScheduler();
         // Start server
         const PORT = process.env.PORT || 3001;
         server.listen(PORT, () => {
@@ -0,0 +1,214 @@
+const rideModel = require('../models/ride.model');
+const mapService = require('./maps.service');
+const dispatchService = require('./dispatch.service');
+const captainStatsService = require('./captainStats.service');
+const { RIDE_STATUS } = require('./rideState.service');
+
+const BATCH_MATCHING_CONFIG = {
+    windowMs: parseInt(process.env.DISPATCH_BATCH_WINDOW_MS, 10) || 5000,
+    // Requests still unmatched after this long are cancelled, as in sequential dispatch
+    maxWaitMs: parseInt(process.env.DISPATCH_BATCH_MAX_WAIT_MS, 10) || 3 * 60 * 1000,
+    // Nearest captains (straight line) considered for each request
+    candidatesPerRide: 10,
+    // Rides plus captains per routing matrix request
+    maxMatrixPoints: 100
+};
+
+// Cost for pairs that must not be matched
+const UNASSIGNABLE = 1e9;
+
+/**
+ * Minimum-cost assignment (Hungarian algorithm) for a rectangular cost matrix.
+ * @param {number[][]} cost - cost[row][col]
+ * @returns {number[]} Column assigned to each row, or -1 if the row is left unassigned
+ */
+const solveAssignment = (cost) => {
+    const rows = cost.length;
+    const cols = rows ? cost[0].length : 0;
+    if (rows === 0 || cols === 0) {
+        return new Array(rows).fill(-1);
+    }
+
+    // The algorithm needs at least as many columns as rows
+    if (rows > cols) {
+        const transposed = cost[0].map((_, col) => cost.map(row => row[col]));
+        const colToRow = solveAssignment(transposed);
+        const assignment = new Array(rows).fill(-1);
+        colToRow.forEach((row, col) => {
+            if (row !== -1) {
+                assignment[row] = col;
+            }
+        });
+        return assignment;
+    }
+
+    // Potentials u (rows) and v (columns); p[col] is the row matched to col; 1-based with index 0 as a sentinel
+    const u = new Array(rows + 1).fill(0);
+    const v = new Array(cols + 1).fill(0);
+    const p = new Array(cols + 1).fill(0);
+    const way = new Array(cols + 1).fill(0);
+
+    for (let i = 1; i <= rows; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Array(cols + 1).fill(Infinity);
+        const used = new Array(cols + 1).fill(false);
+
+        do {
+            used[j0] = true;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= cols; j++) {
+                if (used[j]) {
+                    continue;
+                }
+                const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (reduced < minv[j]) {
+                    minv[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= cols; j++) {
+                if (used[j]) {
+                    u[p[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= cols; j++) {
+        if (p[j] !== 0) {
+            assignment[p[j] - 1] = j - 1;
+        }
+    }
+    return assignment;
+};
+
+// Idle captains who could serve a ride: right vehicle, enough seats, online with a fresh position, not already offered it
+const findRideCandidates = async (job, ride, busyCaptains) => {
+    const [lng, lat] = ride.pickup.coordinates.coordinates;
+    const captains = await mapService.getCaptainsInTheRadius(
+        lat, lng, dispatchService.DISPATCH_CONFIG.maxRadiusKm, ride.vehicleType
+    );
+    const activeSince = Date.now() - dispatchService.DISPATCH_CONFIG.captainActiveWindowMs;
+
+    return captains.filter(captain =>
+        captain.socketId &&
+        captain.lastSeen && captain.lastSeen.getTime() >= activeSince &&
+        captain.vehicle.capacity >= (ride.seats || 1) &&
+        mapService.getCaptainPosition(captain) &&
+        !busyCaptains.has(captain._id.toString()) &&
+        !job.offered.has(captain._id.toString())
+    ).slice(0, BATCH_MATCHING_CONFIG.candidatesPerRide);
+};
+
+/**
+ * Pair waiting ride requests with idle captains so the total (weighted) pickup ETA is as small as possible,
+ * then offer each ride to its matched captain. Unmatched rides wait for the next window.
+ * @returns {Promise<number>} Offers sent
+ */
+const runBatchMatching = async () => {
+    const waitingJobs = dispatchService.getWaitingBatchJobs();
+    if (waitingJobs.length === 0) {
+        return 0;
+    }
+
+    const rides = await rideModel.find({
+        _id: { $in: waitingJobs.map(job => job.rideId) },
+        status: RIDE_STATUS.REQUESTED
+    });
+    const ridesById = new Map(rides.map(ride => [ride._id.toString(), ride]));
+
+    const entries = [];
+    for (const job of waitingJobs) {
+        const ride = ridesById.get(job.rideId);
+        if (!ride) {
+            dispatchService.stopDispatch(job.rideId);
+        } else if (Date.now() - job.queuedAt > BATCH_MATCHING_CONFIG.maxWaitMs) {
+            await dispatchService.failDispatch(job);
+        } else {
+            entries.push({ job, ride });
+        }
+    }
+
+    // Oldest requests first, so they are matched before the matrix limit is reached
+    entries.sort((a, b) => a.job.queuedAt - b.job.queuedAt);
+
+    const busyCaptains = dispatchService.getCaptainsWithPendingOffers();
+    const captains = new Map();
+    const matched = [];
+    for (const entry of entries) {
+        const candidates = await findRideCandidates(entry.job, entry.ride, busyCaptains);
+        const newCaptains = candidates.filter(captain => !captains.has(captain._id.toString()));
+        if (matched.length + 1 + captains.size + newCaptains.length > BATCH_MATCHING_CONFIG.maxMatrixPoints) {
+            break;
+        }
+        newCaptains.forEach(captain => captains.set(captain._id.toString(), captain));
+        entry.candidateIds = new Set(candidates.map(captain => captain._id.toString()));
+        matched.push(entry);
+    }
+
+    // Positions are read once here, so a captain going stale mid-run is dropped rather than routed from null
+    const located = [...captains.values()]
+        .map(captain => ({ captain, position: mapService.getCaptainPosition(captain) }))
+        .filter(({ position }) => position);
+    const captainList = located.map(({ captain }) => captain);
+    if (matched.length === 0 || captainList.length === 0) {
+        return 0;
+    }
+
+    const { durations } = await mapService.getDurationMatrix(
+        located.map(({ position }) => position),
+        matched.map(({ ride }) => ride.pickup.coordinates.coordinates)
+    );
+
+    // Pickup ETA weighted by each captain's acceptance, cancellation and rating record
+    const cost = matched.map((entry, rideIndex) => captainList.map((captain, captainIndex) =>
+        entry.candidateIds.has(captain._id.toString())
+            ? captainStatsService.scoreCaptain(captain, durations[captainIndex][rideIndex])
+            : UNASSIGNABLE));
+    const assignment = solveAssignment(cost);
+
+    let offers = 0;
+    for (let rideIndex = 0; rideIndex < matched.length; rideIndex++) {
+        const captainIndex = assignment[rideIndex];
+        const { job, ride } = matched[rideIndex];
+        if (captainIndex === -1 || cost[rideIndex][captainIndex] >= UNASSIGNABLE) {
+            continue;
+        }
+
+        try {
+            await dispatchService.sendOffers(job, ride, [{
+                captain: captainList[captainIndex],
+                etaSeconds: Math.round(durations[captainIndex][rideIndex])
+            }]);
+            offers++;
+        } catch (error) {
+            console.error('Error sending batch offer for ride:', job.rideId, error);
+        }
+    }
+
+    return offers;
+};
+
+module.exports = {
+    BATCH_MATCHING_CONFIG,
+    solveAssignment,
+    runBatchMatching
+};
@@ -0,0 +1,121 @@
+const captainModel = require('../models/captain.model');
+const { RIDE_STATUS, rideEvents } = require('./rideState.service');
+const { numberFromEnv } = require('../utils/helpers');
+
+// How much each signal slows a captain down in dispatch ranking; all zero ranks by ETA alone
+const DISPATCH_SCORE_WEIGHTS = {
+    acceptance: numberFromEnv('DISPATCH_WEIGHT_ACCEPTANCE', 0.5),
+    cancellation: numberFromEnv('DISPATCH_WEIGHT_CANCELLATION', 1),
+    rating: numberFromEnv('DISPATCH_WEIGHT_RATING', 0.3),
+    // Below this many offers / accepted rides / ratings a captain is treated as neutral
+    minSample: parseInt(process.env.DISPATCH_SCORE_MIN_SAMPLE, 10) || 10
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const incrementStats = (captainIds, counters) => {
+    const ids = (Array.isArray(captainIds) ? captainIds : [captainIds]).filter(Boolean);
+    if (ids.length === 0) {
+        return Promise.resolve();
+    }
+
+    const $inc = {};
+    Object.entries(counters).forEach(([counter, amount]) => {
+        $inc[`stats.${counter}`] = amount;
+    });
+    return captainModel.updateMany({ _id: { $in: ids } }, { $inc }).catch(error => {
+        console.error('Error updating captain stats:', error.message);
+    });
+};
+
+const recordOffersSent = (captainIds) => incrementStats(captainIds, { offersReceived: 1 });
+
+const recordOfferDeclined = (captainId) => incrementStats(captainId, { offersDeclined: 1 });
+
+const recordOffersExpired = (captainIds) => incrementStats(captainIds, { offersExpired: 1 });
+
+/**
+ * Add a rider's rating to the captain's average. Re-rating a ride replaces the earlier rating.
+ * @param {string} captainId - Captain who drove the ride
+ * @param {number} rating - New rating, 1-5
+ * @param {number} [previousRating] - Rating the ride had before, if any
+ */
+const recordRating = (captainId, rating, previousRating) => {
+    if (previousRating) {
+        return incrementStats(captainId, { ratingSum: rating - previousRating });
+    }
+    return incrementStats(captainId, { ratingCount: 1, ratingSum: rating });
+};
+
+/**
+ * Rates derived from a captain's counters; null where there is nothing to go on yet.
+ * @param {Object} captain - Captain document
+ */
+const getCaptainStats = (captain) => {
+    const stats = (captain.stats && (captain.stats.toObject ? captain.stats.toObject() : captain.stats)) || {};
+    const offersAnswered = (stats.offersAccepted || 0) + (stats.offersDeclined || 0) + (stats.offersExpired || 0);
+
+    return {
+        offersReceived: stats.offersReceived || 0,
+        ridesAccepted: stats.ridesAccepted || 0,
+        ridesCompleted: stats.ridesCompleted || 0,
+        ridesCancelled: stats.ridesCancelled || 0,
+        ratingCount: stats.ratingCount || 0,
+        acceptanceRate: offersAnswered ? round(stats.offersAccepted / offersAnswered) : null,
+        cancellationRate: stats.ridesAccepted ? round(stats.ridesCancelled / stats.ridesAccepted) : null,
+        averageRating: stats.ratingCount ? round(stats.ratingSum / stats.ratingCount) : null
+    };
+};
+
+/**
+ * Dispatch ranking cost for a captain: the pickup ETA stretched by poor acceptance,
+ * cancellations and low ratings. Lower is better.
+ * @param {Object} captain - Captain document
+ * @param {number} etaSeconds - Driving time to the pickup
+ */
+const scoreCaptain = (captain, etaSeconds) => {
+    const stats = captain.stats || {};
+    const offersAnswered = (stats.offersAccepted || 0) + (stats.offersDeclined || 0) + (stats.offersExpired || 0);
+    let penalty = 0;
+
+    if (offersAnswered >= DISPATCH_SCORE_WEIGHTS.minSample) {
+        penalty += DISPATCH_SCORE_WEIGHTS.acceptance * (1 - stats.offersAccepted / offersAnswered);
+    }
+    if ((stats.ridesAccepted || 0) >= DISPATCH_SCORE_WEIGHTS.minSample) {
+        penalty += DISPATCH_SCORE_WEIGHTS.cancellation * (stats.ridesCancelled / stats.ridesAccepted);
+    }
+    if ((stats.ratingCount || 0) >= DISPATCH_SCORE_WEIGHTS.minSample) {
+        // 5 stars costs nothing, 1 star the full weight
+        penalty += DISPATCH_SCORE_WEIGHTS.rating * (5 - stats.ratingSum / stats.ratingCount) / 4;
+    }
+
+    return etaSeconds * (1 + Math.max(penalty, 0));
+};
+
+// Count accepted, completed and captain-cancelled rides as they happen
+rideEvents.on('transition', ({ ride, from, to, actor }) => {
+    if (!ride.captain) {
+        return;
+    }
+
+    if (to === RIDE_STATUS.ACCEPTED) {
+        // Captains accepting an offer themselves, as opposed to pool matching attaching a ride
+        incrementStats(ride.captain, actor.type === 'Captain'
+            ? { ridesAccepted: 1, offersAccepted: 1 }
+            : { ridesAccepted: 1 });
+    } else if (to === RIDE_STATUS.COMPLETED) {
+        incrementStats(ride.captain, { ridesCompleted: 1 });
+    } else if (to === RIDE_STATUS.CANCELLED && actor.type === 'Captain' && from !== RIDE_STATUS.REQUESTED) {
+        incrementStats(ride.captain, { ridesCancelled: 1 });
+    }
+});
+
+module.exports = {
+    DISPATCH_SCORE_WEIGHTS,
+    recordOffersSent,
+    recordOfferDeclined,
+    recordOffersExpired,
+    recordRating,
+    getCaptainStats,
+    scoreCaptain
+};
@@ -0,0 +1,354 @@
+const rideModel = require('../models/ride.model');
+const userModel = require('../models/user.model');
+const mapService = require('./maps.service');
+const { RIDE_STATUS, rideEvents, transition, toCaptainView } = require('./rideState.service');
+const { recordRideEvent } = require('./rideEvent.service');
+const captainStatsService = require('./captainStats.service');
+const { getIO } = require('../socket');
+
+const DISPATCH_CONFIG = {
+    initialRadiusKm: parseFloat(process.env.DISPATCH_INITIAL_RADIUS_KM) || 3,
+    radiusStepKm: parseFloat(process.env.DISPATCH_RADIUS_STEP_KM) || 3,
+    maxRadiusKm: parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 15,
+    batchSize: parseInt(process.env.DISPATCH_BATCH_SIZE, 10) || 3,
+    offerTimeoutMs: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_MS, 10) || 15000,
+    captainActiveWindowMs: 5 * 60 * 1000, // Captains not seen for this long are skipped
+    maxRankedCandidates: 50, // Nearest captains (straight line) whose driving ETA is looked up each round
+    // 'sequential' offers each ride to its nearest captains as it arrives; 'batch' leaves pairing to batch matching
+    mode: process.env.DISPATCH_MODE === 'batch' ? 'batch' : 'sequential'
+};
+
+// In-flight dispatch jobs keyed by ride id
+const jobs = new Map();
+
+const emitProgress = (job, stage, extra = {}) => {
+    getIO().to(`User-${job.userId}`).emit('dispatch:progress', {
+        rideId: job.rideId,
+        stage,
+        radiusKm: job.radiusKm,
+        captainsOffered: job.offered.size,
+        ...extra
+    });
+};
+
+const buildOfferPayload = async (ride, expiresAt) => {
+    const user = await userModel.findById(ride.user).select('fullname');
+    return {
+        rideId: ride._id,
+        pickup: ride.pickup,
+        destination: ride.destination,
+        stops: ride.stops,
+        vehicleType: ride.vehicleType,
+        rideType: ride.rideType,
+        fare: ride.fare,
+        distance: ride.distance,
+        duration: ride.duration,
+        scheduledFor: ride.scheduledFor,
+        offerExpiresAt: expiresAt,
+        user: toCaptainView({
+            user: user ? { _id: user._id, fullname: user.fullname } : { _id: ride.user },
+            passenger: ride.passenger
+        }).user
+    };
+};
+
+/**
+ * Order captains by driving time to the pickup rather than straight-line distance,
+ * weighted by their acceptance, cancellation and rating record. Captains without a
+ * fresh position are left out, as no meaningful ETA can be given for them.
+ * @param {Array} captains - Captain documents
+ * @param {number[]} pickup - [lng, lat]
+ * @returns {Promise<Array>} { captain, etaSeconds } best first
+ */
+const rankByPickupEta = async (captains, pickup) => {
+    const located = captains
+        .map(captain => ({ captain, position: mapService.getCaptainPosition(captain) }))
+        .filter(({ position }) => position);
+    if (located.length === 0) {
+        return [];
+    }
+
+    const { durations } = await mapService.getDurationMatrix(located.map(({ position }) => position), [pickup]);
+    return located
+        .map(({ captain }, index) => ({
+            captain,
+            etaSeconds: Math.round(durations[index][0]),
+            score: captainStatsService.scoreCaptain(captain, durations[index][0])
+        }))
+        .sort((a, b) => a.score - b.score);
+};
+
+// Nearby available captains of the ride's vehicle type who have not been offered this ride yet, best ranked first
+const findCandidates = async (job, ride) => {
+    const [lng, lat] = ride.pickup.coordinates.coordinates;
+    const captains = await mapService.getCaptainsInTheRadius(lat, lng, job.radiusKm, ride.vehicleType);
+    const activeSince = Date.now() - DISPATCH_CONFIG.captainActiveWindowMs;
+
+    const eligible = captains.filter(captain =>
+        captain.socketId &&
+        captain.lastSeen && captain.lastSeen.getTime() >= activeSince &&
+        !job.offered.has(captain._id.toString())
+    );
+
+    // $near returns captains nearest first, so only the closest are worth a routing lookup
+    return rankByPickupEta(eligible.slice(0, DISPATCH_CONFIG.maxRankedCandidates), [lng, lat]);
+};
+
+const clearOfferTimer = (job) => {
+    if (job.timer) {
+        clearTimeout(job.timer);
+        job.timer = null;
+    }
+};
+
+const stopDispatch = (rideId) => {
+    const job = jobs.get(rideId.toString());
+    if (job) {
+        clearOfferTimer(job);
+        jobs.delete(job.rideId);
+    }
+    return job;
+};
+
+// Nobody accepted within the maximum radius: give up and cancel the request
+const failDispatch = async (job) => {
+    stopDispatch(job.rideId);
+    emitProgress(job, 'no-captains');
+    await recordRideEvent({ ride: job.rideId, type: 'dispatch-failed', data: { radiusKm: job.radiusKm } });
+
+    try {
+        await transition({
+            rideId: job.rideId,
+            to: RIDE_STATUS.CANCELLED,
+            actor: { type: 'System' },
+            data: { reason: 'No captains available' }
+        });
+    } catch (error) {
+        console.error('Error cancelling undispatched ride:', job.rideId, error.message);
+    }
+};
+
+const expireOffers = async (job) => {
+    job.timer = null;
+    const io = getIO();
+    const expired = job.pending;
+    job.pending = new Set();
+
+    for (const captainId of expired) {
+        io.to(`Captain-${captainId}`).emit('ride:offer:expired', { rideId: job.rideId });
+    }
+    if (expired.size > 0) {
+        await recordRideEvent({ ride: job.rideId, type: 'offer-expired', data: { captains: [...expired] } });
+        await captainStatsService.recordOffersExpired([...expired]);
+    }
+
+    await continueDispatch(job);
+};
+
+/**
+ * Offer a ride to a set of captains and wait for one of them to accept.
+ * @param {Object} job - Dispatch job
+ * @param {Object} ride - Ride document
+ * @param {Array} batch - { captain, etaSeconds } for each captain to offer the ride to
+ */
+const sendOffers = async (job, ride, batch) => {
+    const expiresAt = new Date(Date.now() + DISPATCH_CONFIG.offerTimeoutMs);
+    const payload = await buildOfferPayload(ride, expiresAt);
+    const io = getIO();
+
+    job.round++;
+    batch.forEach(({ captain, etaSeconds }) => {
+        const captainId = captain._id.toString();
+        job.offered.add(captainId);
+        job.pending.add(captainId);
+        io.to(captain.socketId).emit('new-ride', { ...payload, pickupEtaSeconds: etaSeconds });
+    });
+
+    await recordRideEvent({
+        ride,
+        type: 'offer-sent',
+        data: {
+            captains: batch.map(({ captain }) => captain._id),
+            etaSeconds: batch.map(({ etaSeconds }) => etaSeconds),
+            round: job.round,
+            radiusKm: job.radiusKm,
+            mode: job.mode
+        }
+    });
+    await captainStatsService.recordOffersSent(batch.map(({ captain }) => captain._id));
+    emitProgress(job, 'offered', { round: job.round, offerExpiresAt: expiresAt });
+
+    job.timer = setTimeout(() => {
+        expireOffers(job).catch(error => console.error('Error expiring ride offers:', error));
+    }, DISPATCH_CONFIG.offerTimeoutMs);
+};
+
+// Offer the ride to the next batch of captains, widening the radius when the current one is exhausted
+const runRound = async (job) => {
+    if (!jobs.has(job.rideId)) {
+        return;
+    }
+
+    try {
+        const ride = await rideModel.findById(job.rideId);
+        if (!ride || ride.status !== RIDE_STATUS.REQUESTED) {
+            stopDispatch(job.rideId);
+            return;
+        }
+
+        let candidates = await findCandidates(job, ride);
+        while (candidates.length === 0 && job.radiusKm < DISPATCH_CONFIG.maxRadiusKm) {
+            job.radiusKm = Math.min(job.radiusKm + DISPATCH_CONFIG.radiusStepKm, DISPATCH_CONFIG.maxRadiusKm);
+            emitProgress(job, 'expanding');
+            candidates = await findCandidates(job, ride);
+        }
+
+        if (candidates.length === 0) {
+            await failDispatch(job);
+            return;
+        }
+
+        await sendOffers(job, ride, candidates.slice(0, DISPATCH_CONFIG.batchSize));
+    } catch (error) {
+        console.error('Error dispatching ride:', job.rideId, error);
+        // Don't leave the ride stuck in `requested`: cancel it and tell the rider
+        await failDispatch(job).catch(failError => console.error('Error failing dispatch:', job.rideId, failError));
+    }
+};
+
+// After offers expire or are declined: try the next captains, or in batch mode wait for the next matching window
+const continueDispatch = async (job) => {
+    if (job.mode === 'batch') {
+        return;
+    }
+    await runRound(job);
+};
+
+/**
+ * Start offering a requested ride to nearby captains in ranked batches.
+ * In batch mode the ride waits for the next batch matching window instead.
+ * @param {Object} ride - Ride document in `requested` status
+ */
+const startDispatch = async (ride) => {
+    const rideId = ride._id.toString();
+    if (jobs.has(rideId)) {
+        return;
+    }
+
+    const job = {
+        rideId,
+        userId: (ride.user._id || ride.user).toString(),
+        radiusKm: DISPATCH_CONFIG.initialRadiusKm,
+        offered: new Set(), // every captain offered this ride
+        pending: new Set(), // captains in the current batch who have not responded
+        round: 0,
+        timer: null,
+        mode: DISPATCH_CONFIG.mode,
+        queuedAt: Date.now()
+    };
+    jobs.set(rideId, job);
+
+    emitProgress(job, 'searching');
+    if (job.mode === 'batch') {
+        return;
+    }
+    await runRound(job);
+};
+
+/**
+ * A captain turned down an offer. Moves on early once the whole batch has declined.
+ * @param {string} rideId - Ride id
+ * @param {string} captainId - Declining captain
+ */
+const declineOffer = async (rideId, captainId) => {
+    const job = jobs.get(rideId.toString());
+    if (!job || !job.pending.delete(captainId.toString())) {
+        return;
+    }
+
+    await recordRideEvent({
+        ride: rideId,
+        type: 'offer-declined',
+        actor: { type: 'Captain', id: captainId }
+    });
+    await captainStatsService.recordOfferDeclined(captainId);
+
+    if (job.pending.size === 0) {
+        clearOfferTimer(job);
+        await continueDispatch(job);
+    }
+};
+
+// Whether a captain holds a live, unanswered offer for a ride; only they may accept it
+const hasPendingOffer = (rideId, captainId) => {
+    const job = jobs.get(rideId.toString());
+    return !!job && job.pending.has(captainId.toString());
+};
+
+/**
+ * Pick dispatch back up for rides left in `requested`, e.g. after a restart dropped the in-memory jobs.
+ * @returns {Promise<number>} Rides dispatched again
+ */
+const resumeDispatch = async () => {
+    const rides = await rideModel.find({ status: RIDE_STATUS.REQUESTED });
+    let resumed = 0;
+    for (const ride of rides) {
+        if (jobs.has(ride._id.toString())) {
+            continue;
+        }
+        try {
+            await startDispatch(ride);
+            resumed++;
+        } catch (error) {
+            console.error('Error resuming dispatch for ride:', ride._id, error);
+        }
+    }
+    return resumed;
+};
+
+// Batch mode: rides with no offer out, waiting to be paired in the next window
+const getWaitingBatchJobs = () =>
+    [...jobs.values()].filter(job => job.mode === 'batch' && job.pending.size === 0);
+
+// Captains currently holding an offer they have not answered
+const getCaptainsWithPendingOffers = () => {
+    const captainIds = new Set();
+    jobs.forEach(job => job.pending.forEach(captainId => captainIds.add(captainId)));
+    return captainIds;
+};
+
+// Stop dispatching once a ride leaves `requested`, and withdraw the offer from other captains
+rideEvents.on('transition', ({ ride, from, to }) => {
+    if (from !== RIDE_STATUS.REQUESTED) {
+        return;
+    }
+
+    const job = stopDispatch(ride._id);
+    if (!job) {
+        return;
+    }
+
+    const io = getIO();
+    const acceptedBy = ride.captain ? ride.captain.toString() : null;
+    job.offered.forEach(captainId => {
+        if (captainId !== acceptedBy) {
+            io.to(`Captain-${captainId}`).emit(to === RIDE_STATUS.ACCEPTED ? 'ride:taken' : 'ride:cancelled', {
+                rideId: ride._id
+            });
+        }
+    });
+});
+
+module.exports = {
+    DISPATCH_CONFIG,
+    startDispatch,
+    declineOffer,
+    hasPendingOffer,
+    resumeDispatch,
+    stopDispatch,
+    failDispatch,
+    sendOffers,
+    emitProgress,
+    getWaitingBatchJobs,
+    getCaptainsWithPendingOffers
+};
@@ -0,0 +1,229 @@
+const lostItemReportModel = require('../models/lostItemReport.model');
+const rideModel = require('../models/ride.model');
+const { RIDE_STATUS } = require('./rideState.service');
+const { recordRideEvent } = require('./rideEvent.service');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { getIO } = require('../socket');
+
+const LOST_ITEM_CONFIG = {
+    reportWindowDays: parseInt(process.env.LOST_ITEM_REPORT_WINDOW_DAYS, 10) || 7,
+    chatWindowHours: parseInt(process.env.LOST_ITEM_CHAT_WINDOW_HOURS, 10) || 72,
+    maxReturnFee: parseFloat(process.env.LOST_ITEM_MAX_RETURN_FEE) || 200
+};
+
+const REPORT_STATUS = {
+    REPORTED: 'reported',
+    FOUND: 'found',
+    RETURNED: 'returned',
+    CLOSED: 'closed'
+};
+
+// Allowed status changes and who may make them
+const STATUS_TRANSITIONS = {
+    [REPORT_STATUS.REPORTED]: {
+        [REPORT_STATUS.FOUND]: ['Captain'],
+        [REPORT_STATUS.CLOSED]: ['User', 'Captain', 'Admin']
+    },
+    [REPORT_STATUS.FOUND]: {
+        [REPORT_STATUS.RETURNED]: ['User', 'Captain', 'Admin'],
+        [REPORT_STATUS.CLOSED]: ['User', 'Admin']
+    },
+    [REPORT_STATUS.RETURNED]: {
+        [REPORT_STATUS.CLOSED]: ['User', 'Captain', 'Admin']
+    },
+    [REPORT_STATUS.CLOSED]: {}
+};
+
+const isParty = (report, requester) => {
+    if (requester.type === 'Admin') {
+        return true;
+    }
+    const partyId = requester.type === 'Captain' ? report.captain : report.user;
+    return !!partyId && (partyId._id || partyId).equals(requester.id);
+};
+
+const findReportFor = async (reportId, requester) => {
+    const report = await lostItemReportModel.findById(reportId);
+    if (!report) {
+        throw new NotFoundError('Lost item report not found');
+    }
+    if (!isParty(report, requester)) {
+        throw new ForbiddenError('You do not have access to this report');
+    }
+    return report;
+};
+
+// Push report changes to both rider and captain
+const emitToParties = (report, event, payload) => {
+    const io = getIO();
+    io.to(`User-${report.user}`).emit(event, payload);
+    io.to(`Captain-${report.captain}`).emit(event, payload);
+};
+
+/**
+ * Report an item left behind on a completed ride. Notifies the captain and opens a chat thread.
+ * @param {Object} params
+ * @param {string} params.rideId - Completed ride
+ * @param {string} params.userId - Rider reporting the item
+ * @param {string} params.description - What was lost
+ * @param {string} [params.contactPhone] - Number the captain can reach the rider on
+ */
+const createReport = async ({ rideId, userId, description, contactPhone }) => {
+    const ride = await rideModel.findById(rideId).select('user captain status actualEndTime createdAt');
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+    if (!ride.user.equals(userId)) {
+        throw new ForbiddenError('Only the rider can report a lost item for this ride');
+    }
+    if (ride.status !== RIDE_STATUS.COMPLETED || !ride.captain) {
+        throw new BadRequestError('Lost items can only be reported for completed rides');
+    }
+
+    const endedAt = ride.actualEndTime || ride.createdAt;
+    const windowMs = LOST_ITEM_CONFIG.reportWindowDays * 24 * 60 * 60 * 1000;
+    if (Date.now() - endedAt.getTime() > windowMs) {
+        throw new BadRequestError(`Lost items must be reported within ${LOST_ITEM_CONFIG.reportWindowDays} days of the ride`);
+    }
+
+    const openReport = await lostItemReportModel.exists({
+        ride: ride._id,
+        status: { $ne: REPORT_STATUS.CLOSED }
+    });
+    if (openReport) {
+        throw new ConflictError('There is already an open lost item report for this ride');
+    }
+
+    let report;
+    try {
+        report = await lostItemReportModel.create({
+            ride: ride._id,
+            user: ride.user,
+            captain: ride.captain,
+            description,
+            contactPhone,
+            chatExpiresAt: new Date(Date.now() + LOST_ITEM_CONFIG.chatWindowHours * 60 * 60 * 1000),
+            history: [{ status: REPORT_STATUS.REPORTED, actor: { type: 'User', id: userId } }]
+        });
+    } catch (error) {
+        // Two reports racing past the check above; the unique index stops the second
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.ride) {
+            throw new ConflictError('There is already an open lost item report for this ride');
+        }
+        throw error;
+    }
+
+    await recordRideEvent({
+        ride: ride._id,
+        type: 'lost-item',
+        actor: { type: 'User', id: userId },
+        data: { report: report._id, status: report.status }
+    });
+    getIO().to(`Captain-${ride.captain}`).emit('lost-item:reported', report);
+
+    return report;
+};
+
+/**
+ * Move a report through reported -> found -> returned -> closed.
+ * The captain may set a return fee when marking the item found; it is charged on return.
+ * @param {Object} params
+ * @param {string} params.reportId - Report id
+ * @param {Object} params.requester - { type: 'User'|'Captain'|'Admin', id }
+ * @param {string} params.status - New status
+ * @param {string} [params.note] - Free-text note for the history
+ * @param {number} [params.returnFee] - Fee for returning the item (captain, when marking found)
+ */
+const updateStatus = async ({ reportId, requester, status, note, returnFee }) => {
+    const report = await findReportFor(reportId, requester);
+
+    const allowedActors = (STATUS_TRANSITIONS[report.status] || {})[status];
+    if (!allowedActors) {
+        throw new BadRequestError(`Cannot change a ${report.status} report to ${status}`);
+    }
+    if (!allowedActors.includes(requester.type)) {
+        throw new ForbiddenError(`You cannot mark this report as ${status}`);
+    }
+
+    if (returnFee !== undefined) {
+        if (requester.type !== 'Captain' || status !== REPORT_STATUS.FOUND) {
+            throw new BadRequestError('Only the captain can set a return fee, when marking the item found');
+        }
+        if (returnFee > LOST_ITEM_CONFIG.maxReturnFee) {
+            throw new BadRequestError(`Return fee cannot exceed ${LOST_ITEM_CONFIG.maxReturnFee}`);
+        }
+        report.returnFee.amount = returnFee;
+    }
+
+    if (status === REPORT_STATUS.RETURNED && report.returnFee.amount > 0) {
+        report.returnFee.chargedAt = new Date();
+    }
+
+    report.status = status;
+    report.history.push({ status, actor: requester, note });
+    await report.save();
+
+    await recordRideEvent({
+        ride: report.ride,
+        type: 'lost-item',
+        actor: requester,
+        data: {
+            report: report._id,
+            status,
+            ...(report.returnFee.chargedAt && status === REPORT_STATUS.RETURNED && { returnFee: report.returnFee.amount })
+        }
+    });
+    emitToParties(report, 'lost-item:updated', {
+        reportId: report._id,
+        status: report.status,
+        returnFee: report.returnFee,
+        note
+    });
+
+    return report;
+};
+
+/**
+ * Post a message on a report's chat thread while it is open.
+ * @param {Object} params
+ * @param {string} params.reportId - Report id
+ * @param {Object} params.requester - { type: 'User'|'Captain', id }
+ * @param {string} params.text - Message text
+ */
+const addMessage = async ({ reportId, requester, text }) => {
+    const report = await findReportFor(reportId, requester);
+    if (requester.type === 'Admin') {
+        throw new ForbiddenError('Only the rider and captain can use this chat');
+    }
+    if (report.status === REPORT_STATUS.CLOSED || report.chatExpiresAt < new Date()) {
+        throw new BadRequestError('The chat for this report has closed');
+    }
+
+    report.messages.push({ sender: requester, text });
+    await report.save();
+
+    const message = report.messages[report.messages.length - 1];
+    emitToParties(report, 'lost-item:message', { reportId: report._id, message });
+    return message;
+};
+
+const getReport = (reportId, requester) => findReportFor(reportId, requester);
+
+// Reports filed by a rider or against a captain, newest first
+const listReports = async (requester) => {
+    const query = requester.type === 'Captain' ? { captain: requester.id } : { user: requester.id };
+    return lostItemReportModel.find(query)
+        .populate('ride', 'pickup.address destination.address actualEndTime')
+        .select('-messages')
+        .sort('-createdAt');
+};
+
+module.exports = {
+    LOST_ITEM_CONFIG,
+    REPORT_STATUS,
+    createReport,
+    updateStatus,
+    addMessage,
+    getReport,
+    listReports
+};
@@ -6,7 +6,7 @@ const { ApiError } = require('../utils/errors');
 // Cache configuration
 const routeCache = new NodeCache({ stdTTL: 3600 }); // Cache routes for 1 hour
 const geocodeCache = new NodeCache({ stdTTL: 86400 }); // Cache geocoding results for 24 hours
-const trafficCache = new NodeCache({ stdTTL: 300 }); // Cache traffic data for 5 minutes
+const matrixCache = new NodeCache({ stdTTL: 60 }); // Cache travel-time matrices for 1 minute; captains keep moving
 
 // Rate limiting configuration
 const RATE_LIMIT = {
@@ -223,28 +223,38 @@ const getAddressCoordinate = async (address) => {
     }
 };
 
-// Get route details including distance and duration
-const getRouteDetails = async (origin, destination) => {
-    if (!origin || !destination || !origin.coordinates || !destination.coordinates ||
-        !Array.isArray(origin.coordinates.coordinates) || origin.coordinates.coordinates.length !== 2 ||
-        !Array.isArray(destination.coordinates.coordinates) || destination.coordinates.coordinates.length !== 2) {
+// Check that a location has a [lng, lat] GeoJSON coordinate pair
+const hasValidCoordinates = (location) => {
+    return !!location && !!location.coordinates &&
+        Array.isArray(location.coordinates.coordinates) && location.coordinates.coordinates.length === 2;
+};
+
+// Build the `lng,lat;lng,lat;...` coordinate list OSRM expects, in travel order
+const buildOsrmCoordinates = (points) => {
+    return points.map(point => point.coordinates.coordinates.join(',')).join(';');
+};
+
+// Get route details including distance and duration, optionally through ordered waypoints
+const getRouteDetails = async (origin, destination, waypoints = []) => {
+    if (!hasValidCoordinates(origin) || !hasValidCoordinates(destination) ||
+        !Array.isArray(waypoints) || !waypoints.every(hasValidCoordinates)) {
         throw new ApiError(400, 'Origin and destination with valid coordinates are required');
     }
 
     try {
+        const points = [origin, ...waypoints, destination];
+        const coordinates = buildOsrmCoordinates(points);
+
         // Check cache first
-        const cacheKey = `route:${origin.coordinates.coordinates.join(',')}-${destination.coordinates.coordinates.join(',')}`;
+        const cacheKey = `route:${coordinates}`;
         const cachedRoute = routeCache.get(cacheKey);
         if (cachedRoute) {
             console.log('Using cached route details');
             return cachedRoute;
         }
 
-        const [pickupLng, pickupLat] = origin.coordinates.coordinates;
-        const [destLng, destLat] = destination.coordinates.coordinates;
-
         // Use OSRM for route calculation
-        const osrmUrl = `http://router.project-osrm.org/route/v1/driving/${pickupLng},${pickupLat};${destLng},${destLat}?overview=full&geometries=geojson`;
+        const osrmUrl = `http://router.project-osrm.org/route/v1/driving/${coordinates}?overview=full&geometries=geojson`;
         console.log('Fetching route details from OSRM:', osrmUrl);
 
         try {
@@ -264,12 +274,16 @@ const getRouteDetails = async (origin, destination) => {
                 distance: route.distance,
                 duration: route.duration,
                 route: route.geometry,
-                steps: route.legs[0].steps.map(step => ({
+                legs: route.legs.map(leg => ({
+                    distance: leg.distance,
+                    duration: leg.duration
+                })),
+                steps: route.legs.flatMap(leg => leg.steps.map(step => ({
                     distance: step.distance,
                     duration: step.duration,
                     instruction: step.maneuver.type,
                     location: step.maneuver.location
-                }))
+                })))
             };
 
             // Cache the result
@@ -297,6 +311,131 @@ const getRouteDetails = async (origin, destination) => {
     }
 };
 
+// Nearest point on a drivable road to a pin, via OSRM. Returns null when the routing service is unavailable.
+const getNearestRoadPoint = async (lng, lat) => {
+    const cacheKey = `nearest:${Number(lng).toFixed(6)},${Number(lat).toFixed(6)}`;
+    const cached = routeCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await axios.get(`https://router.project-osrm.org/nearest/v1/driving/${lng},${lat}?number=1`, {
+            timeout: 5000,
+            headers: {
+                'User-Agent': 'Uber-Clone-App/1.0'
+            }
+        });
+
+        if (!response.data || response.data.code !== 'Ok' || !response.data.waypoints || !response.data.waypoints[0]) {
+            throw new Error('Invalid response from OSRM nearest service');
+        }
+
+        const waypoint = response.data.waypoints[0];
+        const result = {
+            coordinates: waypoint.location,
+            distance: waypoint.distance, // metres from the pin
+            street: waypoint.name || undefined
+        };
+        routeCache.set(cacheKey, result);
+        return result;
+    } catch (error) {
+        console.error('Error snapping point to road:', error.message);
+        return null;
+    }
+};
+
+// Average speed and detour factor used when the routing service cannot be reached
+const MATRIX_FALLBACK = {
+    avgSpeedKmh: 30,
+    roadFactor: 1.3 // roads are longer than the straight line
+};
+
+// The public OSRM server rejects larger tables
+const MAX_MATRIX_POINTS = 100;
+
+const haversineMatrix = (sources, destinations) => {
+    const distances = sources.map(([fromLng, fromLat]) => destinations.map(([toLng, toLat]) =>
+        calculateDistance(fromLat, fromLng, toLat, toLng) * 1000 * MATRIX_FALLBACK.roadFactor));
+    const durations = distances.map(row => row.map(distance => (distance / 1000) / MATRIX_FALLBACK.avgSpeedKmh * 3600));
+    return { durations, distances, source: 'haversine' };
+};
+
+/**
+ * Driving time and distance from every source to every destination, via the OSRM table service.
+ * Falls back to straight-line estimates for the whole matrix, or for pairs OSRM cannot route.
+ * @param {number[][]} sources - [lng, lat] pairs
+ * @param {number[][]} destinations - [lng, lat] pairs
+ * @returns {Promise<Object>} { durations: seconds[][], distances: metres[][], source: 'osrm'|'haversine' }
+ */
+const getDurationMatrix = async (sources, destinations) => {
+    if (sources.length === 0 || destinations.length === 0) {
+        return { durations: [], distances: [], source: 'osrm' };
+    }
+    if (sources.length + destinations.length > MAX_MATRIX_POINTS) {
+        throw new ApiError(400, `A travel-time matrix can have at most ${MAX_MATRIX_POINTS} points`);
+    }
+
+    const points = [...sources, ...destinations].map(point => point.map(value => Number(value).toFixed(5)).join(','));
+    const cacheKey = `matrix:${sources.length}:${points.join(';')}`;
+    const cached = matrixCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const fallback = haversineMatrix(sources, destinations);
+    try {
+        const sourceIndexes = sources.map((_, index) => index).join(';');
+        const destinationIndexes = destinations.map((_, index) => sources.length + index).join(';');
+        const url = `https://router.project-osrm.org/table/v1/driving/${points.join(';')}` +
+            `?sources=${sourceIndexes}&destinations=${destinationIndexes}&annotations=duration,distance`;
+
+        const response = await axios.get(url, {
+            timeout: 5000,
+            headers: {
+                'User-Agent': 'Uber-Clone-App/1.0'
+            }
+        });
+        if (!response.data || response.data.code !== 'Ok' || !Array.isArray(response.data.durations)) {
+            throw new Error('Invalid response from OSRM table service');
+        }
+
+        // OSRM returns null for pairs it cannot route between
+        const pick = (matrix, estimate) => estimate.map((row, i) => row.map((value, j) =>
+            matrix && matrix[i] && matrix[i][j] !== null && matrix[i][j] !== undefined ? matrix[i][j] : value));
+        const result = {
+            durations: pick(response.data.durations, fallback.durations),
+            distances: pick(response.data.distances, fallback.distances),
+            source: 'osrm'
+        };
+        matrixCache.set(cacheKey, result);
+        return result;
+    } catch (error) {
+        console.error('OSRM table service error, using straight-line estimates:', error.message);
+        return fallback;
+    }
+};
+
+// Older positions are treated as unknown rather than routed from
+const CAPTAIN_LOCATION_MAX_AGE_MS = parseInt(process.env.CAPTAIN_LOCATION_MAX_AGE_MS, 10) || 10 * 60 * 1000;
+
+/**
+ * A captain's last reported position, or null if they never reported one (the model
+ * defaults to [0, 0]) or it is older than CAPTAIN_LOCATION_MAX_AGE_MS.
+ * @param {Object} captain - Captain with location and lastLocationUpdate
+ * @returns {number[]|null} [lng, lat]
+ */
+const getCaptainPosition = (captain) => {
+    const coordinates = captain && captain.location && captain.location.coordinates;
+    if (!coordinates || coordinates.length !== 2 || (coordinates[0] === 0 && coordinates[1] === 0)) {
+        return null;
+    }
+    if (!captain.lastLocationUpdate || Date.now() - captain.lastLocationUpdate.getTime() > CAPTAIN_LOCATION_MAX_AGE_MS) {
+        return null;
+    }
+    return [coordinates[0], coordinates[1]];
+};
+
 // Get nearby captains
 const getCaptainsInTheRadius = async (lat, lng, radius, vehicleType = null) => {
     try {
@@ -314,7 +453,7 @@ const getCaptainsInTheRadius = async (lat, lng, radius, vehicleType = null) => {
         };
 
         if (vehicleType) {
-            query.vehicleType = vehicleType;
+            query['vehicle.vehicleType'] = vehicleType;
         }
 
         return await captainModel.find(query);
@@ -324,69 +463,26 @@ const getCaptainsInTheRadius = async (lat, lng, radius, vehicleType = null) => {
     }
 };
 
-// Calculate traffic multiplier based on time and location
-const getTrafficMultiplier = async (coordinates, time) => {
+// Get distance and time between two points, optionally through ordered waypoints, using OSRM
+async function getDistanceTime(pickup, destination, waypoints = []) {
     try {
-        const cacheKey = `traffic:${coordinates.join(',')}:${time.getHours()}`;
-        const cachedMultiplier = trafficCache.get(cacheKey);
-        if (cachedMultiplier) {
-            return cachedMultiplier;
-        }
+        const points = [pickup, ...waypoints, destination];
 
-        const hour = time.getHours();
-        let multiplier = 1.0;
-
-        // Time-based adjustments
-        if ((hour >= 7 && hour <= 9) || (hour >= 17 && hour <= 19)) {
-            multiplier *= 1.5; // Rush hour
-        } else if (hour >= 22 || hour <= 5) {
-            multiplier *= 1.3; // Late night
-        }
-
-        // Cache the result
-        trafficCache.set(cacheKey, multiplier);
-        return multiplier;
-    } catch (error) {
-        console.error('Error in getTrafficMultiplier:', error);
-        return 1.0; // Default multiplier if calculation fails
-    }
-};
-
-// Calculate ETA based on distance and traffic
-const calculateETA = async (distance, coordinates, time) => {
-    try {
-        const trafficMultiplier = await getTrafficMultiplier(coordinates, time);
-        const baseSpeed = 30; // Base speed in km/h
-        const adjustedSpeed = baseSpeed / trafficMultiplier;
-        const etaMinutes = Math.ceil((distance / 1000) / adjustedSpeed * 60);
-        return etaMinutes;
-    } catch (error) {
-        console.error('Error in calculateETA:', error);
-        return Math.ceil((distance / 1000) / 30 * 60); // Default ETA calculation
-    }
-};
-
-// Get distance and time between two points using OSRM
-async function getDistanceTime(pickup, destination) {
-    try {
         // Check cache first
-        const cacheKey = `route:${JSON.stringify(pickup)}:${JSON.stringify(destination)}`;
+        const cacheKey = `route:${points.map(point => JSON.stringify(point)).join(':')}`;
         const cachedRoute = routeCache.get(cacheKey);
         if (cachedRoute) {
             console.log('Using cached route data');
             return cachedRoute;
         }
 
-        const [pickupLng, pickupLat] = pickup.coordinates.coordinates;
-        const [destLng, destLat] = destination.coordinates.coordinates;
-        
         // Validate coordinates
-        if (isNaN(pickupLng) || isNaN(pickupLat) || isNaN(destLng) || isNaN(destLat)) {
+        if (points.some(point => point.coordinates.coordinates.some(value => isNaN(value)))) {
             throw new Error('Invalid coordinates');
         }
 
         try {
-            const url = `https://router.project-osrm.org/route/v1/driving/${pickupLng},${pickupLat};${destLng},${destLat}?overview=false`;
+            const url = `https://router.project-osrm.org/route/v1/driving/${buildOsrmCoordinates(points)}?overview=false`;
             
             console.log('Fetching route from OSRM:', url);
             const response = await axios.get(url, {
@@ -404,7 +500,11 @@ async function getDistanceTime(pickup, destination) {
             const route = response.data.routes[0];
             const result = {
                 distance: { value: route.distance },
-                duration: { value: route.duration }
+                duration: { value: route.duration },
+                legs: route.legs.map(leg => ({
+                    distance: leg.distance,
+                    duration: leg.duration
+                }))
             };
 
             // Cache the result
@@ -413,10 +513,19 @@ async function getDistanceTime(pickup, destination) {
         } catch (osrmError) {
             console.error('OSRM service error:', osrmError.message);
             
-            // Fallback to Haversine formula for distance
-            const distance = calculateDistance(pickupLat, pickupLng, destLat, destLng) * 1000; // Convert to meters
+            // Fallback to Haversine formula for each leg
             const avgSpeed = 30; // Average speed in km/h
-            const duration = (distance / 1000) / avgSpeed * 3600; // Duration in seconds
+            const legs = points.slice(1).map((point, index) => {
+                const [fromLng, fromLat] = points[index].coordinates.coordinates;
+                const [toLng, toLat] = point.coordinates.coordinates;
+                const distance = calculateDistance(fromLat, fromLng, toLat, toLng) * 1000; // Convert to meters
+                return {
+                    distance,
+                    duration: (distance / 1000) / avgSpeed * 3600 // Duration in seconds
+                };
+            });
+            const distance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+            const duration = legs.reduce((sum, leg) => sum + leg.duration, 0);
             
             console.log('Using fallback calculation:', {
                 distance,
@@ -426,7 +535,8 @@ async function getDistanceTime(pickup, destination) {
             
             const result = {
                 distance: { value: distance },
-                duration: { value: duration }
+                duration: { value: duration },
+                legs
             };
 
             // Cache the fallback result
@@ -463,7 +573,8 @@ module.exports = {
     getAddressCoordinate,
     getCaptainsInTheRadius,
     getRouteDetails,
-    getTrafficMultiplier,
-    calculateETA,
+    getNearestRoadPoint,
+    getDurationMatrix,
+    getCaptainPosition,
     validateLocationAccuracy
 };
\ No newline at end of file
@@ -0,0 +1,97 @@
+const meetingPointModel = require('../models/meetingPoint.model');
+const { NotFoundError } = require('../utils/errors');
+
+const MEETING_POINT_CONFIG = {
+    searchRadiusM: parseInt(process.env.MEETING_POINT_RADIUS_M, 10) || 300,
+    maxSuggestions: 3
+};
+
+/**
+ * Active meeting points near a pickup pin, nearest first, with their distance in metres.
+ * @param {number[]} coordinates - [lng, lat]
+ * @param {number} [radiusM] - Search radius in metres
+ */
+const findNearbyMeetingPoints = async ([lng, lat], radiusM = MEETING_POINT_CONFIG.searchRadiusM) => {
+    const points = await meetingPointModel.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: [Number(lng), Number(lat)] },
+                distanceField: 'distance',
+                maxDistance: radiusM,
+                query: { isActive: true },
+                spherical: true
+            }
+        },
+        { $limit: MEETING_POINT_CONFIG.maxSuggestions }
+    ]);
+
+    return points.map(point => ({
+        meetingPointId: point._id,
+        name: point.name,
+        address: point.address,
+        instructions: point.instructions,
+        coordinates: point.location,
+        distance: Math.round(point.distance)
+    }));
+};
+
+const getActiveMeetingPoint = async (meetingPointId) => {
+    const point = await meetingPointModel.findOne({ _id: meetingPointId, isActive: true });
+    if (!point) {
+        throw new NotFoundError('Meeting point not found');
+    }
+    return point;
+};
+
+// Admin: add a curated meeting point
+const createMeetingPoint = async ({ name, address, instructions, coordinates, city }, adminId) => {
+    return meetingPointModel.create({
+        name,
+        address,
+        instructions,
+        location: { type: 'Point', coordinates },
+        city,
+        createdBy: adminId
+    });
+};
+
+// Admin: meeting points, optionally for one city, including inactive ones
+const listMeetingPoints = async ({ city } = {}) => {
+    return meetingPointModel.find(city ? { city } : {}).sort('-createdAt');
+};
+
+// Admin: edit or deactivate a meeting point
+const updateMeetingPoint = async (meetingPointId, updates) => {
+    const point = await meetingPointModel.findById(meetingPointId);
+    if (!point) {
+        throw new NotFoundError('Meeting point not found');
+    }
+
+    ['name', 'address', 'instructions', 'city', 'isActive'].forEach(field => {
+        if (updates[field] !== undefined) {
+            point[field] = updates[field];
+        }
+    });
+    if (updates.coordinates) {
+        point.location = { type: 'Point', coordinates: updates.coordinates };
+    }
+    await point.save();
+    return point;
+};
+
+const deleteMeetingPoint = async (meetingPointId) => {
+    const point = await meetingPointModel.findByIdAndDelete(meetingPointId);
+    if (!point) {
+        throw new NotFoundError('Meeting point not found');
+    }
+};
+
+module.exports = {
+    MEETING_POINT_CONFIG,
+    findNearbyMeetingPoints,
+    getActiveMeetingPoint,
+    createMeetingPoint,
+    listMeetingPoints,
+    updateMeetingPoint,
+    deleteMeetingPoint
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const rideModel = require('../models/ride.model');
+const captainModel = require('../models/captain.model');
+const { RIDE_STATUS, ACTIVE_STATUSES, rideEvents } = require('./rideState.service');
+const { sendSms } = require('../utils/sms');
+const { ApiError, NotFoundError } = require('../utils/errors');
+
+const getTrackingBaseUrl = () =>
+    process.env.TRACKING_URL_BASE || `${process.env.FRONTEND_URL || 'https://uber-clone-krnl.onrender.com'}/track`;
+
+// Tracking links stop working once the trip is over, or when a ride has been open this long
+const TRACKING_LINK_TTL_HOURS = parseInt(process.env.TRACKING_LINK_TTL_HOURS, 10) || 12;
+
+const isTrackingExpired = (ride) => {
+    if ([RIDE_STATUS.COMPLETED, RIDE_STATUS.CANCELLED].includes(ride.status)) {
+        return true;
+    }
+    // Scheduled rides count from their pickup time, so links sent days ahead keep working
+    const since = ride.scheduledFor || ride.createdAt;
+    return Date.now() - since.getTime() > TRACKING_LINK_TTL_HOURS * 3600000;
+};
+
+const createTrackingToken = () => crypto.randomBytes(24).toString('hex');
+
+const buildTrackingLink = (token) => `${getTrackingBaseUrl()}/${token}`;
+
+// Guest bookings carry the tracking token, which is not selected by default
+const loadGuestRide = (rideId) => rideModel.findById(rideId)
+    .select('+passenger.trackingToken')
+    .populate('user', 'fullname')
+    .populate('captain', 'fullname vehicle');
+
+const notifyGuest = (ride, message) => {
+    sendSms({ phone: ride.passenger.phone, message }).catch(error => {
+        console.error('Error sending SMS to guest passenger for ride:', ride._id.toString(), error.message);
+    });
+};
+
+/**
+ * Text the guest their OTP and tracking link once a ride is booked for them.
+ * @param {Object} ride - Ride with passenger details
+ */
+const notifyGuestBooked = async (ride) => {
+    const guestRide = await loadGuestRide(ride._id);
+    if (!guestRide || !guestRide.passenger || !guestRide.passenger.phone) {
+        return;
+    }
+
+    const booker = guestRide.user ? guestRide.user.fullname.firstname : 'Someone';
+    const when = guestRide.scheduledFor ? ` for ${guestRide.scheduledFor.toUTCString()}` : '';
+    notifyGuest(guestRide,
+        `${booker} booked you a ride${when} from ${guestRide.pickup.address}. ` +
+        `Share OTP ${guestRide.otp} with your driver. Track your trip: ${buildTrackingLink(guestRide.passenger.trackingToken)}`);
+};
+
+/**
+ * Limited view of a guest ride for the public tracking link.
+ * @param {string} token - Tracking token from the SMS link
+ */
+const getTrackedRide = async (token) => {
+    const ride = await rideModel.findOne({ 'passenger.trackingToken': token })
+        .populate('captain', 'fullname vehicle location');
+    if (!ride) {
+        throw new NotFoundError('Tracking link is invalid');
+    }
+    if (isTrackingExpired(ride)) {
+        throw new ApiError(410, 'Tracking link has expired');
+    }
+
+    const isActive = ACTIVE_STATUSES.includes(ride.status);
+    return {
+        rideId: ride._id,
+        status: ride.status,
+        passenger: { name: ride.passenger.name },
+        pickup: ride.pickup.address,
+        destination: ride.destination.address,
+        stops: ride.stops.map(stop => ({ address: stop.address, status: stop.status })),
+        scheduledFor: ride.scheduledFor,
+        captain: ride.captain ? {
+            name: ride.captain.fullname.firstname,
+            vehicle: {
+                color: ride.captain.vehicle.color,
+                plate: ride.captain.vehicle.plate,
+                vehicleType: ride.captain.vehicle.vehicleType
+            },
+            // Live position only while the trip is under way
+            location: isActive && ride.captain.location ? {
+                lng: ride.captain.location.coordinates[0],
+                lat: ride.captain.location.coordinates[1]
+            } : undefined
+        } : null,
+        estimatedArrivalTime: ride.estimatedArrivalTime
+    };
+};
+
+// Keep the guest updated as the trip progresses
+rideEvents.on('transition', async ({ ride, to }) => {
+    if (!ride.passenger || !ride.passenger.phone) {
+        return;
+    }
+
+    try {
+        if (to === RIDE_STATUS.ACCEPTED) {
+            const guestRide = await loadGuestRide(ride._id);
+            const captain = guestRide.captain || await captainModel.findById(ride.captain).select('fullname vehicle');
+            notifyGuest(guestRide,
+                `${captain.fullname.firstname} is coming to pick you up in a ${captain.vehicle.color} ` +
+                `${captain.vehicle.vehicleType} (${captain.vehicle.plate}). OTP: ${guestRide.otp}. ` +
+                `Track: ${buildTrackingLink(guestRide.passenger.trackingToken)}`);
+        } else if (to === RIDE_STATUS.CANCELLED) {
+            notifyGuest(ride, `Your ride from ${ride.pickup.address} has been cancelled.`);
+        }
+    } catch (error) {
+        console.error('Error notifying guest passenger for ride:', ride._id.toString(), error);
+    }
+});
+
+module.exports = {
+    createTrackingToken,
+    buildTrackingLink,
+    notifyGuestBooked,
+    getTrackedRide
+};
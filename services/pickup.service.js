@@ -0,0 +1,105 @@
+const mapService = require('./maps.service');
+const meetingPointService = require('./meetingPoint.service');
+const { calculateDistance } = require('../utils/helpers');
+const { BadRequestError } = require('../utils/errors');
+
+const PICKUP_CONFIG = {
+    // Pins this close to a road are already fine
+    minSnapDistanceM: 5,
+    // Pins further than this from any road are left where the rider put them
+    maxSnapDistanceM: parseInt(process.env.PICKUP_MAX_SNAP_DISTANCE_M, 10) || 250
+};
+
+const toLocation = (pickup) => ({
+    address: pickup.address,
+    coordinates: {
+        type: 'Point',
+        coordinates: pickup.coordinates.coordinates.map(Number)
+    },
+    notes: pickup.notes
+});
+
+/**
+ * Move a pickup pin onto the nearest drivable road.
+ * @param {Object} pickup - { address, coordinates: { coordinates: [lng, lat] } }
+ * @returns {Promise<Object|null>} Snapped location with `distance` moved (m) and `street`, or null if left as is
+ */
+const snapPickup = async (pickup) => {
+    const [lng, lat] = pickup.coordinates.coordinates.map(Number);
+    const nearest = await mapService.getNearestRoadPoint(lng, lat);
+    if (!nearest || nearest.distance < PICKUP_CONFIG.minSnapDistanceM || nearest.distance > PICKUP_CONFIG.maxSnapDistanceM) {
+        return null;
+    }
+
+    return {
+        address: pickup.address,
+        coordinates: { type: 'Point', coordinates: nearest.coordinates },
+        distance: Math.round(nearest.distance),
+        street: nearest.street
+    };
+};
+
+/**
+ * Snapped pickup and nearby meeting points for a fare estimate.
+ * @param {Object} pickup - Pickup as entered by the rider
+ * @returns {Promise<Object>} { requested, snapped, meetingPoints }
+ */
+const resolvePickup = async (pickup) => {
+    const [snapped, meetingPoints] = await Promise.all([
+        snapPickup(pickup),
+        meetingPointService.findNearbyMeetingPoints(pickup.coordinates.coordinates).catch(error => {
+            console.error('Error finding meeting points:', error.message);
+            return [];
+        })
+    ]);
+
+    return { requested: toLocation(pickup), snapped, meetingPoints };
+};
+
+/**
+ * The pickup to store on a new ride: the chosen meeting point, else the pin snapped to the road.
+ * @param {Object} pickup - Pickup as entered by the rider
+ * @param {string} [meetingPointId] - Meeting point the rider picked from the suggestions
+ * @returns {Promise<Object>} { pickup, requestedPickup, pickupAdjustment }
+ */
+const buildRidePickup = async (pickup, meetingPointId) => {
+    const requestedPickup = toLocation(pickup);
+
+    if (meetingPointId) {
+        const point = await meetingPointService.getActiveMeetingPoint(meetingPointId);
+        const [lng, lat] = requestedPickup.coordinates.coordinates;
+        const [pointLng, pointLat] = point.location.coordinates;
+        const distance = Math.round(calculateDistance(lat, lng, pointLat, pointLng) * 1000);
+        if (distance > meetingPointService.MEETING_POINT_CONFIG.searchRadiusM) {
+            throw new BadRequestError('That meeting point is too far from your pickup');
+        }
+
+        return {
+            pickup: {
+                address: `${point.name}, ${point.address}`,
+                coordinates: { type: 'Point', coordinates: point.location.coordinates },
+                notes: [point.instructions, pickup.notes].filter(Boolean).join(' | ') || undefined
+            },
+            requestedPickup,
+            pickupAdjustment: { type: 'meeting-point', distance, meetingPoint: point._id }
+        };
+    }
+
+    const snapped = await snapPickup(pickup);
+    if (!snapped) {
+        return { pickup: requestedPickup, requestedPickup };
+    }
+
+    return {
+        pickup: { ...requestedPickup, coordinates: snapped.coordinates },
+        requestedPickup,
+        pickupAdjustment: { type: 'snapped', distance: snapped.distance, street: snapped.street }
+    };
+};
+
+module.exports = {
+    PICKUP_CONFIG,
+    snapPickup,
+    resolvePickup,
+    buildRidePickup
+};
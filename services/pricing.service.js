@@ -0,0 +1,289 @@
+const NodeCache = require('node-cache');
+const pricingRuleModel = require('../models/pricingRule.model');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const VEHICLE_TYPES = ['auto', 'car', 'moto'];
+const DEFAULT_CITY = 'default';
+
+// Built-in rates used until ops publishes a rule for a city/vehicle type (version 0)
+const DEFAULT_RATES = {
+    auto: { baseFare: 30, perKmRate: 10, perMinuteRate: 2, minFare: 60, maxFare: 300 },
+    car: { baseFare: 50, perKmRate: 15, perMinuteRate: 3, minFare: 100, maxFare: 500 },
+    moto: { baseFare: 20, perKmRate: 8, perMinuteRate: 1.5, minFare: 40, maxFare: 200 }
+};
+
+// Built-in hourly rental rates: package price per hour, kilometres included per hour and overage rates
+const DEFAULT_RENTAL_RATES = {
+    auto: { hourlyRate: 150, includedKmPerHour: 10, extraKmRate: 12, extraMinuteRate: 2 },
+    car: { hourlyRate: 300, includedKmPerHour: 10, extraKmRate: 18, extraMinuteRate: 4 },
+    moto: { hourlyRate: 100, includedKmPerHour: 10, extraKmRate: 9, extraMinuteRate: 1.5 }
+};
+
+const RENTAL_CONFIG = {
+    minHours: 1,
+    maxHours: parseInt(process.env.RENTAL_MAX_HOURS, 10) || 12
+};
+
+// Active rules change rarely; cache lookups briefly so quoting doesn't hit the DB per vehicle type
+const ruleCache = new NodeCache({ stdTTL: 60 });
+
+const normalizeCity = (city) => (city || DEFAULT_CITY).toString().trim().toLowerCase();
+
+// Rental rates from a rule, taking any field the rule leaves out from the built-in rates
+const toRentalRates = (rental, vehicleType) => {
+    const rates = { ...DEFAULT_RENTAL_RATES[vehicleType] };
+    if (rental) {
+        Object.keys(rates).forEach(field => {
+            if (Number.isFinite(rental[field])) {
+                rates[field] = rental[field];
+            }
+        });
+    }
+    return rates;
+};
+
+const toRateCard = (rule, city, vehicleType) => ({
+    ruleId: rule._id || null,
+    city: rule.city || city,
+    vehicleType,
+    version: rule.version || 0,
+    baseFare: rule.baseFare,
+    perKmRate: rule.perKmRate,
+    perMinuteRate: rule.perMinuteRate,
+    minFare: rule.minFare,
+    maxFare: rule.maxFare,
+    effectiveFrom: rule.effectiveFrom || null,
+    rental: toRentalRates(rule.rental, vehicleType)
+});
+
+/**
+ * Rule in effect for a city and vehicle type, falling back to the default
+ * city and then to the built-in rates.
+ * @param {string} vehicleType - 'auto', 'car' or 'moto'
+ * @param {string} [city] - City or zone key
+ * @param {Date} [at] - Point in time (defaults to now)
+ * @returns {Promise<Object>} Rate card with ruleId and version
+ */
+const getActiveRule = async (vehicleType, city, at = new Date()) => {
+    const cityKey = normalizeCity(city);
+    const useCache = Math.abs(at.getTime() - Date.now()) < 1000;
+    const cacheKey = `rule:${cityKey}:${vehicleType}`;
+    if (useCache && ruleCache.has(cacheKey)) {
+        return ruleCache.get(cacheKey);
+    }
+
+    const cities = cityKey === DEFAULT_CITY ? [DEFAULT_CITY] : [cityKey, DEFAULT_CITY];
+    let rateCard = null;
+    for (const candidate of cities) {
+        const rule = await pricingRuleModel.findOne({
+            city: candidate,
+            vehicleType,
+            effectiveFrom: { $lte: at }
+        }).sort({ effectiveFrom: -1, version: -1 });
+
+        if (rule) {
+            rateCard = toRateCard(rule, candidate, vehicleType);
+            break;
+        }
+    }
+
+    if (!rateCard) {
+        rateCard = toRateCard(DEFAULT_RATES[vehicleType], DEFAULT_CITY, vehicleType);
+    }
+
+    if (useCache) {
+        ruleCache.set(cacheKey, rateCard);
+    }
+    return rateCard;
+};
+
+// Active rate cards for every vehicle type, keyed by vehicle type
+const getActiveRules = async (city, at = new Date()) => {
+    const rules = await Promise.all(VEHICLE_TYPES.map(type => getActiveRule(type, city, at)));
+    return rules.reduce((acc, rule) => {
+        acc[rule.vehicleType] = rule;
+        return acc;
+    }, {});
+};
+
+/**
+ * Fare for a trip under a rate card, clamped to the rule's min/max and rounded to 10.
+ * @param {Object} rule - Rate card
+ * @param {number} distanceMeters - Route distance in meters
+ * @param {number} durationSeconds - Route duration in seconds
+ * @param {number} [surgeMultiplier] - Surge multiplier (default 1)
+ * @returns {number} Fare amount
+ */
+const calculateFare = (rule, distanceMeters, durationSeconds, surgeMultiplier = 1) => {
+    const fare = (rule.baseFare +
+        ((distanceMeters / 1000) * rule.perKmRate) +
+        ((durationSeconds / 60) * rule.perMinuteRate)) * surgeMultiplier;
+
+    const clamped = Math.min(Math.max(fare, rule.minFare), rule.maxFare);
+    return Math.round(clamped / 10) * 10;
+};
+
+/**
+ * Price an hourly rental package under a rate card.
+ * @param {Object} rule - Rate card
+ * @param {number} hours - Purchased hours
+ * @param {number} [surgeMultiplier] - Surge multiplier (default 1)
+ * @returns {Object} Package snapshot stored on the ride
+ */
+const calculateRentalPackage = (rule, hours, surgeMultiplier = 1) => {
+    const rates = rule.rental;
+    return {
+        hours,
+        includedKm: hours * rates.includedKmPerHour,
+        packagePrice: Math.round((hours * rates.hourlyRate * surgeMultiplier) / 10) * 10,
+        extraKmRate: rates.extraKmRate,
+        extraMinuteRate: rates.extraMinuteRate
+    };
+};
+
+/**
+ * Overage for a finished rental, charged on time beyond the purchased hours and
+ * distance beyond the included kilometres.
+ * @param {Object} rental - Package snapshot from the ride
+ * @param {Object} usage - { elapsedMinutes, distanceKm }
+ * @returns {Object} { extraMinutes, extraKm, timeCharge, distanceCharge, amount }
+ */
+const calculateRentalOverage = (rental, { elapsedMinutes, distanceKm }) => {
+    const extraMinutes = Math.max(0, Math.ceil(elapsedMinutes - rental.hours * 60));
+    const extraKm = Math.max(0, Math.round((distanceKm - rental.includedKm) * 10) / 10);
+    const timeCharge = Math.round(extraMinutes * rental.extraMinuteRate);
+    const distanceCharge = Math.round(extraKm * rental.extraKmRate);
+
+    return {
+        extraMinutes,
+        extraKm,
+        timeCharge,
+        distanceCharge,
+        amount: timeCharge + distanceCharge
+    };
+};
+
+// Rate card a ride was priced with, for itemizing its fare after the fact
+const getRateCardForRide = async (ride) => {
+    const ruleId = ride.pricing && ride.pricing.ruleId;
+    if (ruleId) {
+        const rule = await pricingRuleModel.findById(ruleId);
+        if (rule) {
+            return toRateCard(rule, rule.city, rule.vehicleType);
+        }
+    }
+    return toRateCard(DEFAULT_RATES[ride.vehicleType], DEFAULT_CITY, ride.vehicleType);
+};
+
+/**
+ * Publish a new rule version for a city and vehicle type.
+ * @param {Object} data - Rule fields
+ * @param {string} [adminId] - Admin creating the rule
+ * @returns {Promise<Object>} Created rule
+ */
+const createRule = async (data, adminId) => {
+    const city = normalizeCity(data.city);
+    const { vehicleType } = data;
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+        throw new BadRequestError(`Invalid vehicle type. Must be one of: ${VEHICLE_TYPES.join(', ')}`);
+    }
+    if (data.minFare > data.maxFare) {
+        throw new BadRequestError('Maximum fare must not be below the minimum fare');
+    }
+
+    const latest = await pricingRuleModel.findOne({ city, vehicleType }).sort({ version: -1 }).select('version');
+
+    let rule;
+    try {
+        rule = await pricingRuleModel.create({
+            city,
+            vehicleType,
+            version: latest ? latest.version + 1 : 1,
+            baseFare: data.baseFare,
+            perKmRate: data.perKmRate,
+            perMinuteRate: data.perMinuteRate,
+            minFare: data.minFare,
+            maxFare: data.maxFare,
+            effectiveFrom: data.effectiveFrom || new Date(),
+            rental: data.rental,
+            notes: data.notes,
+            createdBy: adminId
+        });
+    } catch (error) {
+        // Another admin published a version for this city and vehicle type in between
+        if (error.code === 11000) {
+            throw new ConflictError('A newer rule was published meanwhile, please review and try again');
+        }
+        throw error;
+    }
+
+    ruleCache.flushAll();
+    return rule;
+};
+
+const listRules = async ({ city, vehicleType } = {}) => {
+    const query = {};
+    if (city) {
+        query.city = normalizeCity(city);
+    }
+    if (vehicleType) {
+        query.vehicleType = vehicleType;
+    }
+    return pricingRuleModel.find(query).sort({ city: 1, vehicleType: 1, version: -1 });
+};
+
+/**
+ * Compare the fare a sample trip would get under a proposed or existing rule
+ * against the rule active now.
+ * @param {Object} params
+ * @param {string} [params.ruleId] - Existing rule to preview
+ * @param {Object} [params.rule] - Unsaved rule fields to preview
+ * @param {number} params.distanceKm - Sample trip distance
+ * @param {number} params.durationMinutes - Sample trip duration
+ * @param {number} [params.surgeMultiplier] - Sample surge
+ */
+const previewFare = async ({ ruleId, rule, distanceKm, durationMinutes, surgeMultiplier = 1 }) => {
+    let candidate = rule;
+    if (ruleId) {
+        candidate = await pricingRuleModel.findById(ruleId);
+        if (!candidate) {
+            throw new NotFoundError('Pricing rule not found');
+        }
+    }
+    if (!candidate || !VEHICLE_TYPES.includes(candidate.vehicleType)) {
+        throw new BadRequestError('A rule or ruleId with a valid vehicle type is required');
+    }
+
+    const city = normalizeCity(candidate.city);
+    const current = await getActiveRule(candidate.vehicleType, city);
+    const distanceMeters = distanceKm * 1000;
+    const durationSeconds = durationMinutes * 60;
+
+    const previewFareAmount = calculateFare(candidate, distanceMeters, durationSeconds, surgeMultiplier);
+    const currentFareAmount = calculateFare(current, distanceMeters, durationSeconds, surgeMultiplier);
+
+    return {
+        city,
+        vehicleType: candidate.vehicleType,
+        trip: { distanceKm, durationMinutes, surgeMultiplier },
+        preview: { version: candidate.version || null, fare: previewFareAmount },
+        current: { version: current.version, fare: currentFareAmount },
+        difference: previewFareAmount - currentFareAmount
+    };
+};
+
+module.exports = {
+    VEHICLE_TYPES,
+    DEFAULT_RATES,
+    DEFAULT_RENTAL_RATES,
+    RENTAL_CONFIG,
+    getActiveRule,
+    getActiveRules,
+    calculateFare,
+    calculateRentalPackage,
+    calculateRentalOverage,
+    getRateCardForRide,
+    createRule,
+    listRules,
+    previewFare
+};
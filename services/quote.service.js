@@ -0,0 +1,106 @@
+const jwt = require('jsonwebtoken');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const rideModel = require('../models/ride.model');
+
+const QUOTE_CONFIG = {
+    ttlSeconds: parseInt(process.env.QUOTE_TTL_SECONDS, 10) || 300,
+    coordinateTolerance: 0.0005 // ~50m; riders may nudge the pin slightly between estimate and booking
+};
+
+// Separate key from auth tokens so a quote can never be replayed as a session token
+const getQuoteSecret = () => process.env.QUOTE_SECRET || `${process.env.JWT_SECRET}:fare-quote`;
+
+const toPoint = (location) => location.coordinates.coordinates.map(Number);
+
+const samePoint = (a, b) =>
+    Math.abs(a[0] - b[0]) <= QUOTE_CONFIG.coordinateTolerance &&
+    Math.abs(a[1] - b[1]) <= QUOTE_CONFIG.coordinateTolerance;
+
+/**
+ * Sign one quote per vehicle type for a fare estimate.
+ * @param {Object} params
+ * @param {string} params.userId - Rider the quote is issued to
+ * @param {Object} params.pickup - Pickup location (GeoJSON coordinates)
+ * @param {Object} params.destination - Destination location (GeoJSON coordinates)
+ * @param {Array} params.stops - Intermediate stops
+ * @param {Object} params.fares - Fare amount keyed by vehicle type
+ * @param {Object} params.pricing - Pricing rule reference keyed by vehicle type
+ * @param {Object} params.route - { distance, duration } as returned by the maps service
+ * @param {string} [params.city] - City whose pricing rules were used
+ * @param {number} params.surgeMultiplier - Surge applied to the fares
+ * @param {string} params.surgeCell - Surge zone of the pickup
+ * @returns {Object} { quoteId, amount, expiresAt } keyed by vehicle type
+ */
+const issueQuotes = ({ userId, pickup, destination, stops = [], fares, pricing, route, city, surgeMultiplier, surgeCell }) => {
+    const expiresAt = new Date(Date.now() + QUOTE_CONFIG.ttlSeconds * 1000);
+    const quotes = {};
+
+    Object.entries(fares).forEach(([vehicleType, amount]) => {
+        const quoteId = jwt.sign({
+            type: 'FareQuote',
+            user: userId.toString(),
+            vehicleType,
+            amount,
+            pickup: toPoint(pickup),
+            destination: toPoint(destination),
+            stops: stops.map(toPoint),
+            distance: route.distance,
+            duration: route.duration,
+            city,
+            surgeMultiplier,
+            surgeCell,
+            pricing: pricing[vehicleType]
+        }, getQuoteSecret(), { expiresIn: QUOTE_CONFIG.ttlSeconds });
+
+        quotes[vehicleType] = { quoteId, amount, expiresAt };
+    });
+
+    return quotes;
+};
+
+/**
+ * Check a quote presented at booking against the trip being requested.
+ * @param {string} quoteId - Signed quote from get-fare
+ * @param {Object} trip - { userId, vehicleType, pickup, destination, stops }
+ * @returns {Promise<Object>} Decoded quote
+ */
+const verifyQuote = async (quoteId, { userId, vehicleType, pickup, destination, stops = [] }) => {
+    let quote;
+    try {
+        quote = jwt.verify(quoteId, getQuoteSecret());
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new BadRequestError('Fare quote has expired, please request a new fare');
+        }
+        throw new BadRequestError('Invalid fare quote');
+    }
+
+    if (quote.type !== 'FareQuote' || quote.user !== userId.toString()) {
+        throw new BadRequestError('Invalid fare quote');
+    }
+    if (quote.vehicleType !== vehicleType) {
+        throw new BadRequestError(`Fare quote is for ${quote.vehicleType}, not ${vehicleType}`);
+    }
+
+    const requestedStops = stops.map(toPoint);
+    const sameTrip = samePoint(quote.pickup, toPoint(pickup)) &&
+        samePoint(quote.destination, toPoint(destination)) &&
+        quote.stops.length === requestedStops.length &&
+        quote.stops.every((stop, index) => samePoint(stop, requestedStops[index]));
+    if (!sameTrip) {
+        throw new BadRequestError('Fare quote does not match the requested trip');
+    }
+
+    // A quote books at most one ride
+    if (await rideModel.exists({ quoteId })) {
+        throw new ConflictError('Fare quote has already been used');
+    }
+
+    return quote;
+};
+
+module.exports = {
+    QUOTE_CONFIG,
+    issueQuotes,
+    verifyQuote
+};
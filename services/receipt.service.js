@@ -0,0 +1,285 @@
+const PDFDocument = require('pdfkit');
+const rideModel = require('../models/ride.model');
+const pricingService = require('./pricing.service');
+const { RIDE_STATUS, rideEvents } = require('./rideState.service');
+const { recordRideEvent } = require('./rideEvent.service');
+const { sendEmail } = require('../utils/email');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Share of the fare that is tax; fares are quoted tax-inclusive
+const TAX_RATE = parseFloat(process.env.TAX_RATE) || 0;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (amount, currency) => `${currency} ${roundMoney(amount).toFixed(2)}`;
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Ride time in the service area's local timezone, e.g. "Mar 3, 2025, 06:41 PM GMT+5:30"
+const formatReceiptDate = (receipt) => new Date(receipt.route.endedAt || receipt.issuedAt).toLocaleString('en-US', {
+    timeZone: receipt.timezone,
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+});
+
+const loadRide = (rideId) => rideModel.findById(rideId)
+    .populate('user', 'fullname email')
+    .populate('captain', 'fullname vehicle')
+    .populate('serviceArea', 'settings.timezone');
+
+// Rental package plus any overage instead of the distance/time breakdown
+const buildRentalItems = (rental) => {
+    const items = [{
+        label: `Rental package (${rental.hours} h, ${rental.includedKm} km included)`,
+        amount: roundMoney(rental.packagePrice)
+    }];
+    const overage = rental.overage || {};
+    if (overage.timeCharge > 0) {
+        items.push({ label: `Extra time (${overage.extraMinutes} min)`, amount: roundMoney(overage.timeCharge) });
+    }
+    if (overage.distanceCharge > 0) {
+        items.push({ label: `Extra distance (${overage.extraKm} km)`, amount: roundMoney(overage.distanceCharge) });
+    }
+    return items;
+};
+
+/**
+ * Itemized receipt for a completed ride.
+ * Line items are rebuilt from the pricing rule the ride was quoted with; anything the
+ * rule alone doesn't explain (min/max fare, rounding, pool discount) is shown as an adjustment.
+ * @param {Object} ride - Ride with user and captain populated
+ * @returns {Promise<Object>} Receipt data
+ */
+const buildReceipt = async (ride) => {
+    const rule = await pricingService.getRateCardForRide(ride);
+    const currency = ride.fare.currency;
+    const distanceKm = (ride.distance || 0) / 1000;
+    const durationMinutes = (ride.duration || 0) / 60;
+    const surgeMultiplier = ride.surgeMultiplier || 1;
+
+    const base = rule.baseFare;
+    const distanceCharge = distanceKm * rule.perKmRate;
+    const timeCharge = durationMinutes * rule.perMinuteRate;
+    const surgeCharge = (base + distanceCharge + timeCharge) * (surgeMultiplier - 1);
+    const adjustment = ride.fare.amount - (base + distanceCharge + timeCharge + surgeCharge);
+
+    const items = ride.rideType === 'rental' && ride.rental
+        ? buildRentalItems(ride.rental)
+        : [
+            { label: 'Base fare', amount: roundMoney(base) },
+            { label: `Distance (${distanceKm.toFixed(1)} km)`, amount: roundMoney(distanceCharge) },
+            { label: `Time (${Math.round(durationMinutes)} min)`, amount: roundMoney(timeCharge) }
+        ];
+    if (ride.rideType !== 'rental' && surgeCharge > 0) {
+        items.push({ label: `Surge (x${surgeMultiplier})`, amount: roundMoney(surgeCharge) });
+    }
+    if (ride.rideType !== 'rental' && Math.abs(adjustment) >= 0.01) {
+        items.push({
+            label: ride.rideType === 'pool' ? 'Pool discount and adjustments' : 'Minimum fare and rounding',
+            amount: roundMoney(adjustment)
+        });
+    }
+
+    const tip = ride.tip || 0;
+    if (tip > 0) {
+        items.push({ label: 'Tip', amount: roundMoney(tip) });
+    }
+
+    return {
+        receiptNumber: `R-${ride._id.toString().slice(-8).toUpperCase()}`,
+        rideId: ride._id,
+        issuedAt: new Date(),
+        currency,
+        timezone: (ride.serviceArea && ride.serviceArea.settings && ride.serviceArea.settings.timezone) || 'UTC',
+        rider: ride.user && ride.user.fullname ? {
+            name: `${ride.user.fullname.firstname} ${ride.user.fullname.lastname || ''}`.trim(),
+            email: ride.user.email
+        } : null,
+        captain: ride.captain && ride.captain.fullname ? {
+            name: `${ride.captain.fullname.firstname} ${ride.captain.fullname.lastname || ''}`.trim(),
+            vehicle: ride.captain.vehicle ? `${ride.captain.vehicle.color} ${ride.captain.vehicle.plate}` : undefined
+        } : null,
+        route: {
+            pickup: ride.pickup.address,
+            stops: (ride.stops || []).map(stop => stop.address),
+            destination: ride.destination.address,
+            distanceKm: roundMoney(distanceKm),
+            durationMinutes: Math.round(durationMinutes),
+            startedAt: ride.actualArrivalTime,
+            endedAt: ride.actualEndTime
+        },
+        vehicleType: ride.vehicleType,
+        rideType: ride.rideType,
+        pricingVersion: rule.version,
+        items,
+        fare: ride.fare.amount,
+        tip,
+        taxes: {
+            rate: TAX_RATE,
+            // Included in the fare, not added on top
+            amount: roundMoney(ride.fare.amount * TAX_RATE / (1 + TAX_RATE))
+        },
+        total: roundMoney(ride.fare.amount + tip),
+        paymentMethod: ride.paymentMethod || 'cash'
+    };
+};
+
+const renderReceiptHtml = (receipt) => {
+    const rows = receipt.items.map(item =>
+        `<tr><td>${escapeHtml(item.label)}</td><td style="text-align:right">${formatMoney(item.amount, receipt.currency)}</td></tr>`
+    ).join('');
+    const stops = receipt.route.stops.map(stop => `<li>Stop: ${escapeHtml(stop)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,sans-serif;max-width:560px;margin:auto;color:#222">
+  <h2>Your ride receipt</h2>
+  <p>Receipt ${escapeHtml(receipt.receiptNumber)}<br>${escapeHtml(formatReceiptDate(receipt))}</p>
+  <ul>
+    <li>Pickup: ${escapeHtml(receipt.route.pickup)}</li>
+    ${stops}
+    <li>Drop-off: ${escapeHtml(receipt.route.destination)}</li>
+  </ul>
+  <p>${receipt.route.distanceKm} km &middot; ${receipt.route.durationMinutes} min &middot; ${escapeHtml(receipt.vehicleType)}${receipt.captain ? ` with ${escapeHtml(receipt.captain.name)}` : ''}</p>
+  <table style="width:100%;border-collapse:collapse">
+    ${rows}
+    <tr><td colspan="2"><hr></td></tr>
+    <tr><td><strong>Total</strong></td><td style="text-align:right"><strong>${formatMoney(receipt.total, receipt.currency)}</strong></td></tr>
+    <tr><td>Includes taxes (${roundMoney(receipt.taxes.rate * 100)}%)</td><td style="text-align:right">${formatMoney(receipt.taxes.amount, receipt.currency)}</td></tr>
+  </table>
+  <p>Paid by ${escapeHtml(receipt.paymentMethod)}</p>
+</body>
+</html>`;
+};
+
+/**
+ * Render a receipt as a PDF.
+ * @param {Object} receipt - Output of buildReceipt
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A5', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(18).text('Ride receipt');
+    doc.fontSize(9).fillColor('#555')
+        .text(`${receipt.receiptNumber} - ${formatReceiptDate(receipt)}`);
+    doc.moveDown().fillColor('#000').fontSize(10);
+
+    doc.text(`Pickup: ${receipt.route.pickup}`);
+    receipt.route.stops.forEach(stop => doc.text(`Stop: ${stop}`));
+    doc.text(`Drop-off: ${receipt.route.destination}`);
+    doc.text(`${receipt.route.distanceKm} km - ${receipt.route.durationMinutes} min - ${receipt.vehicleType}` +
+        (receipt.captain ? ` with ${receipt.captain.name}` : ''));
+    doc.moveDown();
+
+    const amountX = 260;
+    receipt.items.forEach(item => {
+        const y = doc.y;
+        doc.text(item.label, 40, y);
+        doc.text(formatMoney(item.amount, receipt.currency), amountX, y, { width: 80, align: 'right' });
+    });
+    doc.moveDown(0.5);
+
+    let y = doc.y;
+    doc.font('Helvetica-Bold').text('Total', 40, y);
+    doc.text(formatMoney(receipt.total, receipt.currency), amountX, y, { width: 80, align: 'right' });
+    doc.font('Helvetica');
+    y = doc.y;
+    doc.text(`Includes taxes (${roundMoney(receipt.taxes.rate * 100)}%)`, 40, y);
+    doc.text(formatMoney(receipt.taxes.amount, receipt.currency), amountX, y, { width: 80, align: 'right' });
+    doc.moveDown();
+    doc.text(`Paid by ${receipt.paymentMethod}`, 40);
+
+    doc.end();
+});
+
+/**
+ * Receipt for a completed ride, visible to the rider, the captain and admins.
+ * @param {string} rideId - Ride id
+ * @param {Object} requester - { type: 'User'|'Captain'|'Admin', id }
+ */
+const getReceipt = async (rideId, requester) => {
+    const ride = await loadRide(rideId);
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+
+    const isRider = requester.type === 'User' && ride.user && ride.user._id.equals(requester.id);
+    const isCaptain = requester.type === 'Captain' && ride.captain && ride.captain._id.equals(requester.id);
+    if (!isRider && !isCaptain && requester.type !== 'Admin') {
+        throw new ForbiddenError('You do not have access to this ride');
+    }
+    if (ride.status !== RIDE_STATUS.COMPLETED) {
+        throw new BadRequestError('Receipts are only available for completed rides');
+    }
+
+    return buildReceipt(ride);
+};
+
+/**
+ * Email the receipt (HTML body plus PDF attachment) to the rider.
+ * @param {string} rideId - Completed ride
+ * @param {Object} [options]
+ * @param {string} [options.email] - Send to this address instead of the rider's
+ * @param {Object} [options.actor] - Who asked for the email (System on completion)
+ */
+const sendReceipt = async (rideId, { email, actor = { type: 'System' } } = {}) => {
+    const ride = await loadRide(rideId);
+    if (!ride || ride.status !== RIDE_STATUS.COMPLETED) {
+        throw new BadRequestError('Receipts are only available for completed rides');
+    }
+
+    const to = email || (ride.user && ride.user.email);
+    if (!to) {
+        throw new BadRequestError('No email address to send the receipt to');
+    }
+
+    const receipt = await buildReceipt(ride);
+    const pdf = await renderReceiptPdf(receipt);
+
+    await sendEmail({
+        email: to,
+        subject: `Your ride receipt ${receipt.receiptNumber}`,
+        message: `Thanks for riding with us. Total charged: ${formatMoney(receipt.total, receipt.currency)}.`,
+        html: renderReceiptHtml(receipt),
+        attachments: [{
+            filename: `receipt-${receipt.receiptNumber}.pdf`,
+            content: pdf,
+            contentType: 'application/pdf'
+        }]
+    });
+
+    await recordRideEvent({ ride, type: 'receipt-sent', actor, data: { email: to } });
+    return receipt;
+};
+
+// Email the receipt as soon as a ride completes
+rideEvents.on('transition', ({ ride, to }) => {
+    if (to !== RIDE_STATUS.COMPLETED) {
+        return;
+    }
+    sendReceipt(ride._id).catch(error => {
+        console.error('Error emailing receipt for ride:', ride._id.toString(), error.message);
+    });
+});
+
+module.exports = {
+    TAX_RATE,
+    buildReceipt,
+    renderReceiptHtml,
+    renderReceiptPdf,
+    getReceipt,
+    sendReceipt
+};
@@ -0,0 +1,399 @@
+const recurringRideModel = require('../models/recurringRide.model');
+const rideModel = require('../models/ride.model');
+const userModel = require('../models/user.model');
+const rideService = require('./ride.service');
+const serviceAreaService = require('./serviceArea.service');
+const { RIDE_STATUS, rideEvents, transition } = require('./rideState.service');
+const { sendEmail } = require('../utils/email');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { validateTimezone } = require('../utils/validators');
+const { getIO } = require('../socket');
+
+const RECURRING_RIDE_CONFIG = {
+    // How far ahead concrete rides are created; capped by how far ahead a ride may be scheduled
+    lookaheadHours: Math.min(
+        parseInt(process.env.RECURRING_RIDE_LOOKAHEAD_HOURS, 10) || 24,
+        rideService.SCHEDULED_RIDE_CONFIG.maxAdvanceDays * 24
+    ),
+    maxSchedulesPerUser: parseInt(process.env.MAX_RECURRING_RIDES_PER_USER, 10) || 10
+};
+
+const SCHEDULE_STATUS = {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    ENDED: 'ended'
+};
+
+// Rides cancelled because the rider changed, paused or ended the schedule; these dates may be booked again
+const SCHEDULE_CHANGED_REASON = 'Recurring ride schedule changed';
+
+// Calendar date and wall-clock time of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        utcMs: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    };
+};
+
+// The instant a local date (YYYY-MM-DD) and time (HH:mm) happen in a timezone
+const zonedTimeToDate = (date, time, timeZone) => {
+    const wallClockMs = Date.parse(`${date}T${time}:00Z`);
+    let instant = wallClockMs;
+    // Two passes settle on the right offset across DST changes
+    for (let i = 0; i < 2; i++) {
+        const offset = getZonedParts(new Date(instant), timeZone).utcMs - instant;
+        instant = wallClockMs - offset;
+    }
+    return new Date(instant);
+};
+
+const addDays = (date, days) => {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+};
+
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const findScheduleFor = async (scheduleId, userId) => {
+    const schedule = await recurringRideModel.findOne({
+        _id: scheduleId,
+        user: userId,
+        status: { $ne: SCHEDULE_STATUS.ENDED }
+    });
+    if (!schedule) {
+        throw new NotFoundError('Recurring ride not found');
+    }
+    return schedule;
+};
+
+/**
+ * Cancel rides already created from a schedule that have not been released to captains yet.
+ * @param {Object} schedule - Recurring ride
+ * @param {Function} [shouldCancel] - Picks which rides to cancel, given the ride's local date
+ */
+const cancelUpcomingRides = async (schedule, shouldCancel = () => true) => {
+    const rides = await rideModel.find({
+        recurringRide: schedule._id,
+        status: RIDE_STATUS.SCHEDULED
+    }).select('_id scheduledFor');
+
+    for (const ride of rides) {
+        if (!shouldCancel(getZonedParts(ride.scheduledFor, schedule.timezone).date)) {
+            continue;
+        }
+        try {
+            await transition({
+                rideId: ride._id,
+                to: RIDE_STATUS.CANCELLED,
+                actor: { type: 'User', id: schedule.user },
+                data: { reason: SCHEDULE_CHANGED_REASON }
+            });
+            // Free the date so the changed schedule can book it again
+            await rideModel.updateOne({ _id: ride._id }, { $unset: { recurringSlot: 1 } });
+        } catch (error) {
+            // Released or cancelled concurrently
+            console.error('Could not cancel recurring ride occurrence:', ride._id.toString(), error.message);
+        }
+    }
+};
+
+const validateSchedule = ({ timezone }) => {
+    if (timezone && !validateTimezone(timezone)) {
+        throw new BadRequestError('Invalid timezone');
+    }
+};
+
+/**
+ * Create a recurring ride schedule.
+ * @param {string} userId - Rider
+ * @param {Object} data - { pickup, destination, vehicleType, daysOfWeek, time, timezone, city }
+ */
+const createRecurringRide = async (userId, { pickup, destination, vehicleType, daysOfWeek, time, timezone, city }) => {
+    validateSchedule({ timezone });
+    // Reject commutes outside coverage now rather than on every booking; the area supplies the local timezone
+    const area = await serviceAreaService.checkTrip({ pickup, destination, vehicleType });
+
+    const count = await recurringRideModel.countDocuments({ user: userId, status: { $ne: SCHEDULE_STATUS.ENDED } });
+    if (count >= RECURRING_RIDE_CONFIG.maxSchedulesPerUser) {
+        throw new BadRequestError(`You can have at most ${RECURRING_RIDE_CONFIG.maxSchedulesPerUser} recurring rides`);
+    }
+
+    return recurringRideModel.create({
+        user: userId,
+        pickup,
+        destination,
+        vehicleType,
+        daysOfWeek: [...new Set(daysOfWeek)].sort(),
+        time,
+        timezone: timezone || (area ? area.settings.timezone : undefined),
+        city: city || (area ? area.city : undefined)
+    });
+};
+
+// The rider's schedules with the rides already booked from them
+const listRecurringRides = async (userId) => {
+    const schedules = await recurringRideModel.find({ user: userId, status: { $ne: SCHEDULE_STATUS.ENDED } })
+        .sort('-createdAt')
+        .lean();
+
+    const upcoming = await rideModel.find({
+        recurringRide: { $in: schedules.map(schedule => schedule._id) },
+        status: { $in: [RIDE_STATUS.SCHEDULED, RIDE_STATUS.REQUESTED] }
+    }).select('recurringRide scheduledFor status fare').sort('scheduledFor').lean();
+
+    return schedules.map(schedule => ({
+        ...schedule,
+        upcomingRides: upcoming.filter(ride => ride.recurringRide.equals(schedule._id))
+    }));
+};
+
+/**
+ * Change a schedule. Rides already booked from it are cancelled and re-created with the new details.
+ * @param {string} userId - Rider
+ * @param {string} scheduleId - Recurring ride id
+ * @param {Object} updates - Any of pickup, destination, vehicleType, daysOfWeek, time, timezone, city
+ */
+const updateRecurringRide = async (userId, scheduleId, updates) => {
+    validateSchedule(updates);
+    const schedule = await findScheduleFor(scheduleId, userId);
+
+    ['pickup', 'destination', 'vehicleType', 'time', 'timezone', 'city'].forEach(field => {
+        if (updates[field] !== undefined) {
+            schedule[field] = updates[field];
+        }
+    });
+    if (updates.daysOfWeek !== undefined) {
+        schedule.daysOfWeek = [...new Set(updates.daysOfWeek)].sort();
+    }
+    // The new details may succeed where the old ones failed
+    schedule.failedDates = [];
+    await schedule.save();
+
+    await cancelUpcomingRides(schedule);
+    return schedule;
+};
+
+// Stop a schedule for good and cancel anything booked from it
+const endRecurringRide = async (userId, scheduleId) => {
+    const schedule = await findScheduleFor(scheduleId, userId);
+    schedule.status = SCHEDULE_STATUS.ENDED;
+    await schedule.save();
+
+    await cancelUpcomingRides(schedule);
+    return schedule;
+};
+
+/**
+ * Skip one date. A ride already booked for that date is cancelled.
+ * @param {string} userId - Rider
+ * @param {string} scheduleId - Recurring ride id
+ * @param {string} date - Local date, YYYY-MM-DD
+ */
+const skipDate = async (userId, scheduleId, date) => {
+    const schedule = await findScheduleFor(scheduleId, userId);
+    if (!schedule.skipDates.includes(date)) {
+        schedule.skipDates.push(date);
+        // Past dates no longer matter
+        const today = getZonedParts(new Date(), schedule.timezone).date;
+        schedule.skipDates = schedule.skipDates.filter(skipped => skipped >= today).sort();
+        await schedule.save();
+    }
+
+    await cancelUpcomingRides(schedule, rideDate => rideDate === date);
+    return schedule;
+};
+
+/**
+ * Pause a schedule, optionally until a date (inclusive). Rides booked in the paused period are cancelled.
+ * @param {string} userId - Rider
+ * @param {string} scheduleId - Recurring ride id
+ * @param {string} [until] - Last paused date, YYYY-MM-DD
+ */
+const pauseRecurringRide = async (userId, scheduleId, until) => {
+    const schedule = await findScheduleFor(scheduleId, userId);
+    schedule.status = SCHEDULE_STATUS.PAUSED;
+    schedule.pausedUntil = until;
+    await schedule.save();
+
+    await cancelUpcomingRides(schedule, rideDate => !until || rideDate <= until);
+    return schedule;
+};
+
+const resumeRecurringRide = async (userId, scheduleId) => {
+    const schedule = await findScheduleFor(scheduleId, userId);
+    schedule.status = SCHEDULE_STATUS.ACTIVE;
+    schedule.pausedUntil = undefined;
+    await schedule.save();
+    return schedule;
+};
+
+// Let the rider know a commute ride will not happen, by socket and email
+const notifyRider = async (schedule, { rideId, scheduledFor, message }) => {
+    getIO().to(`User-${schedule.user}`).emit('recurring-ride:failed', {
+        recurringRideId: schedule._id,
+        rideId,
+        scheduledFor,
+        message
+    });
+
+    try {
+        const user = await userModel.findById(schedule.user).select('email');
+        if (user && user.email) {
+            await sendEmail({
+                email: user.email,
+                subject: 'Your recurring ride could not be arranged',
+                message
+            });
+        }
+    } catch (error) {
+        console.error('Error emailing recurring ride notice:', schedule._id.toString(), error.message);
+    }
+};
+
+// Book one occurrence of a schedule as a scheduled ride
+const bookOccurrence = async (schedule, scheduledFor) => {
+    const fareResult = await rideService.getFare(schedule.pickup, schedule.destination, [], { city: schedule.city });
+    if (!fareResult || !fareResult.data || !fareResult.data[schedule.vehicleType]) {
+        throw new Error('Failed to calculate fare');
+    }
+
+    return rideService.createRide({
+        user: schedule.user,
+        pickupObj: schedule.pickup,
+        destinationObj: schedule.destination,
+        pickupString: schedule.pickup.address,
+        destinationString: schedule.destination.address,
+        vehicleType: schedule.vehicleType,
+        fareAmount: fareResult.data[schedule.vehicleType],
+        distance: fareResult.distance,
+        duration: fareResult.duration,
+        scheduledFor,
+        surgeMultiplier: fareResult.surgeMultiplier,
+        surgeCell: fareResult.surgeCell,
+        pricing: fareResult.pricing[schedule.vehicleType],
+        recurringRide: schedule._id
+    });
+};
+
+/**
+ * Create scheduled rides for every active schedule's pickups within the lookahead window.
+ * The scheduler then releases them to captains like any other scheduled ride.
+ * @returns {Promise<number>} Rides created
+ */
+const materializeRecurringRides = async () => {
+    const now = Date.now();
+    const earliest = now + rideService.SCHEDULED_RIDE_CONFIG.minAdvanceMinutes * 60000;
+    const latest = now + RECURRING_RIDE_CONFIG.lookaheadHours * 60 * 60000;
+    const days = Math.ceil(RECURRING_RIDE_CONFIG.lookaheadHours / 24) + 1;
+
+    const schedules = await recurringRideModel.find({
+        status: { $in: [SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.PAUSED] }
+    });
+
+    let created = 0;
+    for (const schedule of schedules) {
+        const today = getZonedParts(new Date(now), schedule.timezone).date;
+
+        if (schedule.status === SCHEDULE_STATUS.PAUSED) {
+            if (!schedule.pausedUntil || schedule.pausedUntil >= today) {
+                continue;
+            }
+            schedule.status = SCHEDULE_STATUS.ACTIVE;
+            schedule.pausedUntil = undefined;
+            await schedule.save();
+        }
+
+        for (let offset = 0; offset < days; offset++) {
+            const date = addDays(today, offset);
+            if (!schedule.daysOfWeek.includes(getDayOfWeek(date)) || schedule.skipDates.includes(date) ||
+                schedule.failedDates.includes(date)) {
+                continue;
+            }
+
+            const scheduledFor = zonedTimeToDate(date, schedule.time, schedule.timezone);
+            if (scheduledFor.getTime() < earliest || scheduledFor.getTime() > latest) {
+                continue;
+            }
+
+            // Booked already, or cancelled by the rider or for want of captains
+            const existing = await rideModel.exists({ recurringRide: schedule._id, scheduledFor, recurringSlot: true });
+            if (existing) {
+                continue;
+            }
+
+            try {
+                await bookOccurrence(schedule, scheduledFor);
+                created++;
+            } catch (error) {
+                if (error instanceof ConflictError) {
+                    // Booked by a concurrent run
+                    continue;
+                }
+                console.error('Error booking recurring ride:', schedule._id.toString(), date, error);
+
+                // Give up on the date and tell the rider once, not on every run
+                const recorded = await recurringRideModel.updateOne(
+                    { _id: schedule._id, failedDates: { $ne: date } },
+                    { $push: { failedDates: date } }
+                );
+                if (recorded.modifiedCount === 0) {
+                    continue;
+                }
+                await notifyRider(schedule, {
+                    scheduledFor,
+                    message: `We could not book your recurring ride from ${schedule.pickup.address} ` +
+                        `for ${scheduledFor.toUTCString()}. Please book this trip manually.`
+                });
+            }
+        }
+    }
+
+    return created;
+};
+
+// Tell the rider when nobody could be found for one of their commute rides
+rideEvents.on('transition', async ({ ride, to, actor, data }) => {
+    if (to !== RIDE_STATUS.CANCELLED || actor.type !== 'System' || !ride.recurringRide) {
+        return;
+    }
+
+    try {
+        const schedule = await recurringRideModel.findById(ride.recurringRide);
+        if (!schedule) {
+            return;
+        }
+        await notifyRider(schedule, {
+            rideId: ride._id,
+            scheduledFor: ride.scheduledFor,
+            message: `Your recurring ride from ${ride.pickup.address} could not be dispatched` +
+                `${data && data.reason ? `: ${data.reason}` : ''}. Please book another ride.`
+        });
+    } catch (error) {
+        console.error('Error handling failed recurring ride:', ride._id.toString(), error);
+    }
+});
+
+module.exports = {
+    RECURRING_RIDE_CONFIG,
+    SCHEDULE_STATUS,
+    createRecurringRide,
+    listRecurringRides,
+    updateRecurringRide,
+    endRecurringRide,
+    skipDate,
+    pauseRecurringRide,
+    resumeRecurringRide,
+    materializeRecurringRides
+};
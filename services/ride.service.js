@@ -1,37 +1,122 @@
 const rideModel = require('../models/ride.model');
+const mongoose = require('mongoose');
 const mapService = require('./maps.service');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { getIO } = require('../socket');
-const { generateOTP } = require('../utils/helpers');
-const captainModel = require('../models/captain.model');
-
-const RIDE_STATUS = {
-  REQUESTED: 'requested',
-  ACCEPTED: 'accepted',
-  ON_THE_WAY: 'on-the-way',
-  IN_PROGRESS: 'in-progress',
-  COMPLETED: 'completed',
-  CANCELLED: 'cancelled'
+const { generateOTP, calculateDistance } = require('../utils/helpers');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+const { RIDE_STATUS, transition, toCaptainView } = require('./rideState.service');
+const { recordRideEvent } = require('./rideEvent.service');
+const dispatchService = require('./dispatch.service');
+const surgeService = require('./surge.service');
+const pricingService = require('./pricing.service');
+const quoteService = require('./quote.service');
+const splitService = require('./split.service');
+const passengerService = require('./passenger.service');
+const pickupService = require('./pickup.service');
+const captainStatsService = require('./captainStats.service');
+const serviceAreaService = require('./serviceArea.service');
+
+// Scheduled rides are released to captains `leadTimeMinutes` before pickup
+const SCHEDULED_RIDE_CONFIG = {
+    leadTimeMinutes: parseInt(process.env.SCHEDULED_RIDE_LEAD_MINUTES, 10) || 15,
+    minAdvanceMinutes: parseInt(process.env.SCHEDULED_RIDE_MIN_ADVANCE_MINUTES, 10) || 30,
+    maxAdvanceDays: parseInt(process.env.SCHEDULED_RIDE_MAX_ADVANCE_DAYS, 10) || 7
 };
 
-async function getFare(pickup, destination) {
+// Returns an error message if the pickup time cannot be scheduled, otherwise null
+function validateScheduledTime(scheduledFor) {
+    const time = new Date(scheduledFor);
+    if (isNaN(time.getTime())) {
+        return 'Invalid scheduled time';
+    }
+
+    const now = Date.now();
+    if (time.getTime() < now + SCHEDULED_RIDE_CONFIG.minAdvanceMinutes * 60000) {
+        return `Rides must be scheduled at least ${SCHEDULED_RIDE_CONFIG.minAdvanceMinutes} minutes in advance`;
+    }
+    if (time.getTime() > now + SCHEDULED_RIDE_CONFIG.maxAdvanceDays * 24 * 60 * 60000) {
+        return `Rides cannot be scheduled more than ${SCHEDULED_RIDE_CONFIG.maxAdvanceDays} days in advance`;
+    }
+    return null;
+}
+
+// Shared rides: riders going the same way are attached to an active car pool trip
+const POOL_CONFIG = {
+    vehicleType: 'car',
+    discount: parseFloat(process.env.POOL_DISCOUNT) || 0.25, // Fraction taken off each rider's fare
+    maxDetourRatio: parseFloat(process.env.POOL_MAX_DETOUR_RATIO) || 0.3, // Extra distance allowed on the existing trip
+    searchRadiusKm: parseFloat(process.env.POOL_SEARCH_RADIUS_KM) || 3,
+    maxSeatsPerRequest: 2
+};
+
+const applyPoolDiscount = (amount) => Math.round(amount * (1 - POOL_CONFIG.discount));
+
+// Maximum number of intermediate stops a rider can add between pickup and destination
+const MAX_RIDE_STOPS = parseInt(process.env.MAX_RIDE_STOPS, 10) || 3;
+
+// Returns an error message if the stops list is unusable, otherwise null
+function validateStops(stops) {
+    if (!Array.isArray(stops)) {
+        return 'Stops must be an array';
+    }
+    if (stops.length > MAX_RIDE_STOPS) {
+        return `A ride can have at most ${MAX_RIDE_STOPS} stops`;
+    }
+    const invalid = stops.some(stop => !stop || !stop.address ||
+        !Array.isArray(stop.coordinates?.coordinates) || stop.coordinates.coordinates.length !== 2 ||
+        stop.coordinates.coordinates.some(value => isNaN(value)));
+    return invalid ? 'Each stop needs an address and [lng, lat] coordinates' : null;
+}
+
+// Reduce client-supplied stops to the fields stored on the ride
+function normalizeStops(stops = []) {
+    return stops.map(stop => ({
+        address: stop.address,
+        coordinates: {
+            type: 'Point',
+            coordinates: [
+                Number(stop.coordinates.coordinates[0]),
+                Number(stop.coordinates.coordinates[1])
+            ]
+        }
+    }));
+}
+
+async function getFare(pickup, destination, stops = [], { city, userId } = {}) {
     try {
         if (!pickup || !destination) {
             throw new Error('Pickup and destination are required');
         }
 
+        const stopsError = validateStops(stops);
+        if (stopsError) {
+            throw new Error(stopsError);
+        }
+
         // Validate the objects directly since they should already be parsed
         if (!pickup.address || !pickup.coordinates || !destination.address || !destination.coordinates) {
             throw new Error('Invalid pickup or destination object format');
         }
 
+        // Trips must stay inside a service area, which also sets the pricing city, currency and vehicle types.
+        // The client's city is only used where no service areas are configured.
+        const area = await serviceAreaService.checkTrip({ pickup, destination, stops });
+        const pricingCity = area ? area.city : city;
+
+        // Price the trip from the road point the captain will actually stop at
+        const pickupResolution = await pickupService.resolvePickup(pickup);
+        const routedPickup = pickupResolution.snapped || pickupResolution.requested;
+
         console.log('Calculating distance and time for:', {
-            pickup,
-            destination
+            pickup: routedPickup,
+            destination,
+            stops
         });
 
-        const distanceTime = await mapService.getDistanceTime(pickup, destination);
+        const distanceTime = await mapService.getDistanceTime(routedPickup, destination, stops);
 
         if (!distanceTime.distance || !distanceTime.duration) {
             throw new Error('Could not calculate distance and duration');
@@ -39,32 +124,11 @@ async function getFare(pickup, destination) {
 
         console.log('Distance and time calculated:', distanceTime);
 
-        const baseFare = {
-            auto: 30,
-            car: 50,
-            moto: 20
-        };
-
-        const perKmRate = {
-            auto: 10,
-            car: 15,
-            moto: 8
-        };
-
-        const perMinuteRate = {
-            auto: 2,
-            car: 3,
-            moto: 1.5
-        };
-
-        const currentHour = new Date().getHours();
-        let surgeMultiplier = 1.0;
+        const rules = await pricingService.getActiveRules(pricingCity);
 
-        if ((currentHour >= 7 && currentHour <= 9) || (currentHour >= 17 && currentHour <= 19)) {
-            surgeMultiplier = 1.5;
-        } else if (currentHour >= 22 || currentHour <= 5) {
-            surgeMultiplier = 1.3;
-        }
+        // Live demand/supply surge for the pickup's zone
+        const { multiplier: surgeMultiplier, cell: surgeCell } =
+            await surgeService.getSurgeMultiplier(routedPickup.coordinates.coordinates);
 
         console.log('Calculating fare with:', {
             distance: distanceTime.distance.value,
@@ -72,35 +136,53 @@ async function getFare(pickup, destination) {
             surgeMultiplier
         });
 
-        const fare = {
-            auto: Math.round((baseFare.auto + 
-                ((distanceTime.distance.value / 1000) * perKmRate.auto) + 
-                ((distanceTime.duration.value / 60) * perMinuteRate.auto)) * surgeMultiplier),
-            car: Math.round((baseFare.car + 
-                ((distanceTime.distance.value / 1000) * perKmRate.car) + 
-                ((distanceTime.duration.value / 60) * perMinuteRate.car)) * surgeMultiplier),
-            moto: Math.round((baseFare.moto + 
-                ((distanceTime.distance.value / 1000) * perKmRate.moto) + 
-                ((distanceTime.duration.value / 60) * perMinuteRate.moto)) * surgeMultiplier)
-        };
-
-        // Apply minimum and maximum fare limits
-        Object.keys(fare).forEach(type => {
-            fare[type] = Math.max(fare[type], baseFare[type] * 2);
-            fare[type] = Math.min(fare[type], baseFare[type] * 10);
-            fare[type] = Math.round(fare[type] / 10) * 10;
+        const fare = {};
+        const pricing = {};
+        Object.values(rules).filter(rule => !area || area.settings.vehicleTypes.includes(rule.vehicleType)).forEach(rule => {
+            fare[rule.vehicleType] = pricingService.calculateFare(
+                rule, distanceTime.distance.value, distanceTime.duration.value, surgeMultiplier
+            );
+            pricing[rule.vehicleType] = { ruleId: rule.ruleId, version: rule.version, city: rule.city };
         });
 
         console.log('Final fare calculated:', fare);
 
+        // Signed per-vehicle quotes let the rider book at exactly this price for a few minutes
+        const quotes = userId ? quoteService.issueQuotes({
+            userId,
+            pickup,
+            destination,
+            stops,
+            fares: fare,
+            pricing,
+            route: { distance: distanceTime.distance, duration: distanceTime.duration },
+            city: pricingCity,
+            surgeMultiplier,
+            surgeCell
+        }) : undefined;
+
         return {
             data: fare,
             distance: distanceTime.distance,
             duration: distanceTime.duration,
-            surgeMultiplier: surgeMultiplier
+            legs: distanceTime.legs,
+            poolFare: fare[POOL_CONFIG.vehicleType] !== undefined ? {
+                [POOL_CONFIG.vehicleType]: applyPoolDiscount(fare[POOL_CONFIG.vehicleType])
+            } : {},
+            city: pricingCity,
+            currency: area ? area.settings.currency : 'USD',
+            serviceArea: serviceAreaService.toAreaSummary(area),
+            surgeMultiplier: surgeMultiplier,
+            surgeCell,
+            pricing,
+            quotes,
+            pickup: pickupResolution
         };
     } catch (error) {
         console.error('Error in getFare:', error);
+        if (error.statusCode) {
+            throw error;
+        }
         throw new Error(error.message || 'Failed to calculate fare');
     }
 }
@@ -122,7 +204,19 @@ const createRide = async ({
     vehicleType,
     fareAmount,
     distance,
-    duration
+    duration,
+    scheduledFor,
+    stops = [],
+    rideType = 'standard',
+    seats = 1,
+    surgeMultiplier,
+    surgeCell,
+    pricing,
+    quoteId,
+    rental,
+    passenger,
+    recurringRide,
+    meetingPointId
 }) => {
     try {
         // Validate required fields
@@ -141,6 +235,32 @@ const createRide = async ({
             throw new Error('Invalid pickup or destination coordinates');
         }
 
+        const stopsError = validateStops(stops);
+        if (stopsError) {
+            throw new Error(stopsError);
+        }
+        const rideStops = normalizeStops(stops);
+
+        const isPool = rideType === 'pool';
+        if (isPool && (vehicleType !== POOL_CONFIG.vehicleType || rideStops.length > 0)) {
+            throw new Error(`Pool rides are only available for ${POOL_CONFIG.vehicleType} without intermediate stops`);
+        }
+
+        if (rideType === 'rental' && !rental) {
+            throw new Error('Rental rides need a rental package');
+        }
+
+        const area = await serviceAreaService.checkTrip({
+            pickup: pickupObj,
+            destination: destinationObj,
+            stops: rideStops,
+            vehicleType
+        });
+
+        // Captains are sent to the chosen meeting point or the nearest road, not the raw pin
+        const { pickup: ridePickup, requestedPickup, pickupAdjustment } =
+            await pickupService.buildRidePickup({ ...pickupObj, address: pickupString }, meetingPointId);
+
         // Calculate route details with retry logic
         let routeDetails;
         let retryCount = 0;
@@ -148,7 +268,7 @@ const createRide = async ({
 
         while (retryCount < maxRetries) {
             try {
-                routeDetails = await mapService.getRouteDetails(pickupObj, destinationObj);
+                routeDetails = await mapService.getRouteDetails(ridePickup, destinationObj, rideStops);
                 if (routeDetails && routeDetails.distance && routeDetails.duration) {
                     break;
                 }
@@ -161,71 +281,35 @@ const createRide = async ({
             }
         }
 
-        // Calculate fare based on distance and vehicle type
-        const baseFare = {
-            auto: 30,
-            car: 50,
-            moto: 20
-        };
-
-        const perKmRate = {
-            auto: 10,
-            car: 15,
-            moto: 8
-        };
-
-        const perMinuteRate = {
-            auto: 2,
-            car: 3,
-            moto: 1.5
-        };
-
-        // Calculate surge multiplier based on time and demand
-        const currentHour = new Date().getHours();
-        let surgeMultiplier = 1.0;
-
-        // Peak hours (7-9 AM and 5-7 PM)
-        if ((currentHour >= 7 && currentHour <= 9) || (currentHour >= 17 && currentHour <= 19)) {
-            surgeMultiplier = 1.5;
-        } 
-        // Late night hours (10 PM - 5 AM)
-        else if (currentHour >= 22 || currentHour <= 5) {
-            surgeMultiplier = 1.3;
+        // The fare is the one quoted to the rider; only fall back to a live lookup for the surge zone
+        let surge = { multiplier: surgeMultiplier, cell: surgeCell };
+        if (surgeMultiplier === undefined) {
+            surge = await surgeService.getSurgeMultiplier(ridePickup.coordinates.coordinates);
         }
 
-        // Calculate base fare
-        const distanceInKm = routeDetails.distance / 1000;
-        const durationInMinutes = routeDetails.duration / 60;
-
-        // Apply minimum distance and duration
-        const effectiveDistance = Math.max(distanceInKm, 1); // Minimum 1 km
-        const effectiveDuration = Math.max(durationInMinutes, 5); // Minimum 5 minutes
-
-        const fare = Math.round((baseFare[vehicleType] + 
-            (effectiveDistance * perKmRate[vehicleType]) + 
-            (effectiveDuration * perMinuteRate[vehicleType])) * surgeMultiplier);
-
-        // Apply minimum and maximum fare limits
-        const minFare = baseFare[vehicleType] * 2;
-        const maxFare = baseFare[vehicleType] * 10;
-        const finalFare = Math.min(Math.max(fare, minFare), maxFare);
+        const finalFare = isPool ? applyPoolDiscount(fareAmount) : fareAmount;
 
         // Generate OTP for ride verification
         const otp = generateOTP(6);
 
         // Create new ride with properly structured pickup and destination
+        const rideId = new mongoose.Types.ObjectId();
         const ride = await rideModel.create({
+            _id: rideId,
             user,
             pickup: {
-                address: pickupString,
+                address: ridePickup.address,
+                notes: ridePickup.notes,
                 coordinates: {
                     type: 'Point',
                     coordinates: [
-                        pickupObj.coordinates.coordinates[0],
-                        pickupObj.coordinates.coordinates[1]
+                        ridePickup.coordinates.coordinates[0],
+                        ridePickup.coordinates.coordinates[1]
                     ]
                 }
             },
+            requestedPickup: { address: requestedPickup.address, coordinates: requestedPickup.coordinates },
+            pickupAdjustment,
             destination: {
                 address: destinationString,
                 coordinates: {
@@ -236,90 +320,240 @@ const createRide = async ({
                     ]
                 }
             },
+            stops: rideStops,
+            legs: routeDetails.legs,
             vehicleType,
+            rideType,
+            seats,
+            poolGroup: isPool ? rideId : undefined,
+            rental: rideType === 'rental' ? rental : undefined,
+            passenger: passenger ? {
+                name: passenger.name,
+                phone: passenger.phone,
+                trackingToken: passengerService.createTrackingToken()
+            } : undefined,
             fare: {
                 amount: finalFare,
-                currency: 'USD'
+                currency: area ? area.settings.currency : 'USD'
             },
+            serviceArea: area ? area._id : undefined,
+            surgeMultiplier: surge.multiplier,
+            surgeCell: surge.cell,
+            pricing,
+            quoteId,
             distance: distance.value,
             duration: duration.value,
             otp,
-            status: RIDE_STATUS.REQUESTED
+            status: scheduledFor ? RIDE_STATUS.SCHEDULED : RIDE_STATUS.REQUESTED,
+            scheduledFor: scheduledFor || undefined,
+            recurringRide,
+            recurringSlot: recurringRide ? true : undefined
+        });
+
+        await recordRideEvent({
+            ride,
+            type: 'ride-created',
+            actor: { type: 'User', id: user },
+            data: {
+                status: ride.status,
+                vehicleType,
+                rideType,
+                fare: ride.fare,
+                scheduledFor: ride.scheduledFor,
+                stops: rideStops.length,
+                guest: !!passenger,
+                recurringRide,
+                pickupAdjustment
+            }
         });
 
+        if (passenger) {
+            await passengerService.notifyGuestBooked(ride);
+        }
+
         return ride;
     } catch (error) {
         console.error('Error in createRide service:', error);
+        // Two bookings racing on one quote both pass verifyQuote; the unique index stops the second
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.quoteId) {
+            throw new ConflictError('Fare quote has already been used');
+        }
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.recurringRide) {
+            throw new ConflictError('This recurring ride is already booked for that time');
+        }
+        if (error.statusCode) {
+            throw error;
+        }
         throw new Error(error.message || 'Failed to create ride');
     }
 };
 
 const confirmRide = async ({ rideId, captain }) => {
+    return transition({
+        rideId,
+        to: RIDE_STATUS.ACCEPTED,
+        actor: { type: 'Captain', id: captain._id }
+    });
+};
+
+const startRide = async ({ rideId, otp, captain }) => {
+    return transition({
+        rideId,
+        to: RIDE_STATUS.IN_PROGRESS,
+        actor: { type: 'Captain', id: captain._id },
+        data: { otp }
+    });
+};
+
+const endRide = async ({ rideId, captain, paymentMethod, tip }) => {
+    return transition({
+        rideId,
+        to: RIDE_STATUS.COMPLETED,
+        actor: { type: 'Captain', id: captain._id },
+        data: { paymentMethod, tip }
+    });
+};
+
+const cancelRide = async ({ rideId, userId, reason }) => {
+    return transition({
+        rideId,
+        to: RIDE_STATUS.CANCELLED,
+        actor: { type: 'User', id: userId },
+        data: { reason }
+    });
+};
+
+const rateRide = async ({ rideId, userId, rating, review }) => {
     try {
         const ride = await rideModel.findOne({
             _id: rideId,
-            status: RIDE_STATUS.REQUESTED
+            user: userId,
+            status: RIDE_STATUS.COMPLETED
         });
 
         if (!ride) {
-            throw new Error('Ride not found or already accepted');
+            throw new Error('Ride not found or not completed');
         }
 
-        // Check if captain is available
-        const captainDoc = await captainModel.findById(captain._id);
-        if (!captainDoc || !captainDoc.isAvailable) {
-            throw new Error('Captain is not available');
+        const previousRating = ride.rating;
+        ride.rating = rating;
+        if (review) {
+            ride.review = review;
         }
-
-        // Update ride with captain details
-        ride.captain = captain._id;
-        ride.status = RIDE_STATUS.ACCEPTED;
-        ride.estimatedArrivalTime = new Date(Date.now() + 10 * 60000); // 10 minutes from now
         await ride.save();
-
-        // Update captain availability
-        await captainModel.findByIdAndUpdate(captain._id, {
-            isAvailable: false,
-            lastSeen: new Date()
-        });
+        await captainStatsService.recordRating(ride.captain, rating, previousRating);
 
         return ride;
     } catch (error) {
-        throw new Error('Failed to confirm ride: ' + error.message);
+        throw new Error('Failed to rate ride: ' + error.message);
     }
 };
 
-const startRide = async ({ rideId, otp, captain }) => {
+const getActiveRides = async (userId, userType) => {
     try {
-        const ride = await rideModel.findOne({
-            _id: rideId,
-            captain: captain._id,
-            status: RIDE_STATUS.ACCEPTED
-        }).select('+otp');
+        const query = userType === 'User' ? { user: userId } : { captain: userId };
+        query.status = { $in: [RIDE_STATUS.REQUESTED, RIDE_STATUS.ACCEPTED, RIDE_STATUS.ON_THE_WAY, RIDE_STATUS.IN_PROGRESS] };
+        
+        const rides = await rideModel.find(query)
+            .populate('user', 'fullname phone')
+            .populate('captain', 'fullname phone vehicle')
+            .sort('-createdAt');
+        
+        return rides.map(ride => ({
+            ...(userType === 'Captain' ? toCaptainView(ride) : ride.toObject()),
+            progress: buildLegProgress(ride)
+        }));
+    } catch (error) {
+        throw new Error('Failed to get active rides: ' + error.message);
+    }
+};
 
-        if (!ride) {
-            throw new Error('Ride not found or not in correct state');
+// Per-leg progress for a ride: a leg is completed once the stop it ends at is reached
+const buildLegProgress = (ride) => {
+    const points = [ride.pickup, ...ride.stops, ride.destination];
+    const legs = points.slice(1).map((point, index) => {
+        let status = 'pending';
+        if (ride.status === RIDE_STATUS.COMPLETED ||
+            (index < ride.stops.length && ride.stops[index].status === 'reached')) {
+            status = 'completed';
         }
+        return {
+            from: points[index].address,
+            to: point.address,
+            distance: ride.legs[index]?.distance,
+            duration: ride.legs[index]?.duration,
+            status
+        };
+    });
 
-        if (ride.otp !== otp) {
-            throw new Error('Invalid OTP');
-        }
+    // The first unfinished leg is the one being driven while the ride is in progress
+    const currentLeg = legs.findIndex(leg => leg.status !== 'completed');
+    if (currentLeg !== -1 && ride.status === RIDE_STATUS.IN_PROGRESS) {
+        legs[currentLeg].status = 'in-progress';
+    }
 
-        ride.status = RIDE_STATUS.IN_PROGRESS;
-        ride.actualArrivalTime = new Date();
-        await ride.save();
+    return {
+        totalLegs: legs.length,
+        completedLegs: legs.filter(leg => leg.status === 'completed').length,
+        currentLeg: currentLeg === -1 ? null : currentLeg,
+        legs
+    };
+};
 
-        return ride;
-    } catch (error) {
-        throw new Error('Failed to start ride: ' + error.message);
+/**
+ * Price an hourly rental package for a vehicle type.
+ * @param {Object} params
+ * @param {string} params.vehicleType - Vehicle type
+ * @param {number} params.hours - Purchased hours
+ * @param {string} [params.city] - City for pricing rules
+ * @param {number} [params.surgeMultiplier] - Surge at the pickup
+ * @returns {Promise<{rental: Object, pricing: Object}>}
+ */
+const getRentalQuote = async ({ vehicleType, hours, city, surgeMultiplier = 1 }) => {
+    const { minHours, maxHours } = pricingService.RENTAL_CONFIG;
+    if (!Number.isInteger(hours) || hours < minHours || hours > maxHours) {
+        throw new Error(`Rental hours must be a whole number between ${minHours} and ${maxHours}`);
     }
+
+    const rule = await pricingService.getActiveRule(vehicleType, city);
+    return {
+        rental: pricingService.calculateRentalPackage(rule, hours, surgeMultiplier),
+        pricing: { ruleId: rule.ruleId, version: rule.version, city: rule.city }
+    };
 };
 
-const endRide = async ({ rideId, captain, paymentMethod, tip }) => {
+// Ignore GPS jitter below this many meters between location updates
+const MIN_TRACKED_SEGMENT_METERS = 10;
+
+// Add the distance since the last captain location update to an in-progress ride
+const trackRideDistance = async (ride, lat, lng) => {
+    if (ride.status !== RIDE_STATUS.IN_PROGRESS) {
+        return;
+    }
+
+    if (!ride.lastTrackedPoint || ride.lastTrackedPoint.length !== 2) {
+        await rideModel.updateOne({ _id: ride._id }, { lastTrackedPoint: [lng, lat] });
+        return;
+    }
+
+    const [lastLng, lastLat] = ride.lastTrackedPoint;
+    const segmentMeters = calculateDistance(lastLat, lastLng, lat, lng) * 1000;
+    if (segmentMeters < MIN_TRACKED_SEGMENT_METERS) {
+        return;
+    }
+
+    await rideModel.updateOne({ _id: ride._id }, {
+        $inc: { trackedDistance: Math.round(segmentMeters) },
+        $set: { lastTrackedPoint: [lng, lat] }
+    });
+};
+
+// Mark an intermediate stop as reached; stops must be reached in order
+const reachStop = async ({ rideId, captainId, stopIndex }) => {
     try {
         const ride = await rideModel.findOne({
             _id: rideId,
-            captain: captain._id,
+            captain: captainId,
             status: RIDE_STATUS.IN_PROGRESS
         });
 
@@ -327,107 +561,529 @@ const endRide = async ({ rideId, captain, paymentMethod, tip }) => {
             throw new Error('Ride not found or not in progress');
         }
 
-        ride.status = RIDE_STATUS.COMPLETED;
-        ride.actualEndTime = new Date();
-        ride.paymentMethod = paymentMethod;
-        if (tip) {
-            ride.tip = tip;
+        const stop = ride.stops[stopIndex];
+        if (!stop) {
+            throw new Error('Invalid stop index');
         }
+        if (stop.status === 'reached') {
+            throw new Error('Stop already reached');
+        }
+        if (ride.stops.slice(0, stopIndex).some(previous => previous.status !== 'reached')) {
+            throw new Error('Previous stops must be reached first');
+        }
+
+        stop.status = 'reached';
+        stop.reachedAt = new Date();
         await ride.save();
 
+        await recordRideEvent({
+            ride,
+            type: 'stop-reached',
+            actor: { type: 'Captain', id: captainId },
+            data: { stopIndex, address: stop.address }
+        });
+
         return ride;
     } catch (error) {
-        throw new Error('Failed to end ride: ' + error.message);
+        throw new Error('Failed to update stop: ' + error.message);
     }
 };
 
-const cancelRide = async ({ rideId, userId, reason }) => {
-    try {
-        const ride = await rideModel.findOne({
-            _id: rideId,
-            user: userId,
-            status: { $in: [RIDE_STATUS.REQUESTED, RIDE_STATUS.ACCEPTED] }
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 100;
+const HISTORY_EXPORT_LIMIT = parseInt(process.env.HISTORY_EXPORT_LIMIT, 10) || 5000;
+
+// Cursors point at the last ride of a page: "<createdAt ms>_<id>", base64url encoded
+const encodeHistoryCursor = (ride) =>
+    Buffer.from(`${ride.createdAt.getTime()}_${ride._id}`).toString('base64url');
+
+const decodeHistoryCursor = (cursor) => {
+    const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+    if (!time || !mongoose.Types.ObjectId.isValid(id) || isNaN(Number(time))) {
+        throw new BadRequestError('Invalid history cursor');
+    }
+    return { createdAt: new Date(Number(time)), id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Mongo filter for a rider's or captain's past rides.
+ * @param {string} userId - Rider or captain id
+ * @param {string} userType - 'User' or 'Captain'
+ * @param {Object} [filters] - { from, to, status, vehicleType, minAmount, maxAmount }
+ */
+const buildHistoryQuery = (userId, userType, { from, to, status, vehicleType, minAmount, maxAmount } = {}) => {
+    const id = new mongoose.Types.ObjectId(userId.toString());
+    const conditions = [
+        userType === 'User'
+            // Riders also see rides they joined through a fare split
+            ? { $or: [{ user: id }, { 'split.participants': { $elemMatch: { user: id, status: 'accepted' } } }] }
+            : { captain: id },
+        { status: status ? status : { $in: [RIDE_STATUS.COMPLETED, RIDE_STATUS.CANCELLED] } }
+    ];
+
+    if (from || to) {
+        conditions.push({
+            createdAt: {
+                ...(from && { $gte: new Date(from) }),
+                // A bare date ("2024-05-31") includes the whole day
+                ...(to && { $lte: /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to) })
+            }
         });
+    }
+    if (vehicleType) {
+        conditions.push({ vehicleType });
+    }
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        conditions.push({
+            'fare.amount': {
+                ...(minAmount !== undefined && { $gte: minAmount }),
+                ...(maxAmount !== undefined && { $lte: maxAmount })
+            }
+        });
+    }
 
-        if (!ride) {
-            throw new Error('Ride not found or cannot be cancelled');
+    return { $and: conditions };
+};
+
+// What the rider paid for a ride in an aggregation: their split share, otherwise the whole fare
+const riderAmountExpression = (userId) => ({
+    $let: {
+        vars: {
+            share: {
+                $arrayElemAt: [{
+                    $filter: {
+                        input: { $ifNull: ['$split.participants', []] },
+                        cond: { $eq: ['$$this.user', userId] }
+                    }
+                }, 0]
+            }
+        },
+        in: { $ifNull: ['$$share.amount', '$fare.amount'] }
+    }
+});
+
+// Totals over every ride matching the filters, not just the current page
+const getHistoryTotals = async (userId, userType, query) => {
+    const id = new mongoose.Types.ObjectId(userId.toString());
+    const amount = userType === 'User' ? riderAmountExpression(id) : '$fare.amount';
+    const isCompleted = { $eq: ['$status', RIDE_STATUS.COMPLETED] };
+
+    const [totals] = await rideModel.aggregate([
+        { $match: query },
+        {
+            $group: {
+                _id: null,
+                rides: { $sum: 1 },
+                completed: { $sum: { $cond: [isCompleted, 1, 0] } },
+                cancelled: { $sum: { $cond: [isCompleted, 0, 1] } },
+                totalFare: { $sum: { $cond: [isCompleted, amount, 0] } },
+                totalTips: { $sum: { $cond: [isCompleted, { $ifNull: ['$tip', 0] }, 0] } },
+                totalRefunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+                totalDistance: { $sum: { $cond: [isCompleted, { $ifNull: ['$distance', 0] }, 0] } }
+            }
         }
+    ]);
 
-        ride.status = RIDE_STATUS.CANCELLED;
-        ride.cancellationReason = reason;
-        await ride.save();
+    if (!totals) {
+        return { rides: 0, completed: 0, cancelled: 0, totalFare: 0, totalTips: 0, totalRefunded: 0, totalDistanceKm: 0 };
+    }
+    const { _id, totalDistance, ...rest } = totals;
+    return { ...rest, totalDistanceKm: Math.round(totalDistance / 100) / 10 };
+};
 
-        return ride;
+const withRiderShare = (rides, userId, userType) => (userType === 'User'
+    ? rides.map(ride => ({ ...ride, myShare: splitService.getRiderShare(ride, userId) }))
+    : rides);
+
+/**
+ * One page of past rides, newest first, with totals for the whole filtered history.
+ * @param {string} userId - Rider or captain id
+ * @param {string} userType - 'User' or 'Captain'
+ * @param {Object} [options] - Filters plus { cursor, limit }
+ * @returns {Promise<{rides: Array, nextCursor: string|null, totals: Object}>}
+ */
+const getRideHistory = async (userId, userType, { cursor, limit, ...filters } = {}) => {
+    try {
+        const pageSize = Math.min(parseInt(limit, 10) || HISTORY_PAGE_SIZE, HISTORY_MAX_PAGE_SIZE);
+        const query = buildHistoryQuery(userId, userType, filters);
+        const pageQuery = { $and: [...query.$and] };
+
+        if (cursor) {
+            const after = decodeHistoryCursor(cursor);
+            pageQuery.$and.push({
+                $or: [
+                    { createdAt: { $lt: after.createdAt } },
+                    { createdAt: after.createdAt, _id: { $lt: after.id } }
+                ]
+            });
+        }
+
+        const [rides, totals] = await Promise.all([
+            rideModel.find(pageQuery)
+                .select('-otp -legs -lastTrackedPoint')
+                .populate(userType === 'User' ? 'captain' : 'user', userType === 'User' ? 'fullname vehicle' : 'fullname')
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(pageSize + 1)
+                .lean(),
+            // Totals only change with the filters, so only compute them for the first page
+            cursor ? Promise.resolve(undefined) : getHistoryTotals(userId, userType, query)
+        ]);
+
+        const hasMore = rides.length > pageSize;
+        const page = hasMore ? rides.slice(0, pageSize) : rides;
+
+        return {
+            rides: withRiderShare(page, userId, userType),
+            nextCursor: hasMore ? encodeHistoryCursor(page[page.length - 1]) : null,
+            totals
+        };
     } catch (error) {
-        throw new Error('Failed to cancel ride: ' + error.message);
+        if (error.statusCode) {
+            throw error;
+        }
+        throw new Error('Failed to get ride history: ' + error.message);
     }
 };
 
-const rateRide = async ({ rideId, userId, rating, review }) => {
+const csvEscape = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Keep spreadsheet apps from evaluating user-entered text such as addresses as formulas
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Ride history as CSV for expense tools, using the same filters as getRideHistory.
+ * @param {string} userId - Rider or captain id
+ * @param {string} userType - 'User' or 'Captain'
+ * @param {Object} [filters] - { from, to, status, vehicleType, minAmount, maxAmount }
+ * @returns {Promise<string>} CSV text
+ */
+const exportRideHistoryCsv = async (userId, userType, filters = {}) => {
+    const rides = await rideModel.find(buildHistoryQuery(userId, userType, filters))
+        .select('createdAt actualEndTime status vehicleType rideType pickup.address destination.address distance duration fare tip refundedAmount paymentMethod split captain user')
+        .populate(userType === 'User' ? 'captain' : 'user', 'fullname')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(HISTORY_EXPORT_LIMIT)
+        .lean();
+
+    const header = ['date', 'ride_id', 'status', 'vehicle_type', 'ride_type', 'pickup', 'destination',
+        'distance_km', 'duration_min', 'fare', 'your_share', 'tip', 'refunded', 'currency', 'payment_method',
+        userType === 'User' ? 'captain' : 'rider'];
+
+    const rows = withRiderShare(rides, userId, userType).map(ride => {
+        const other = userType === 'User' ? ride.captain : ride.user;
+        return [
+            ride.actualEndTime || ride.createdAt,
+            ride._id,
+            ride.status,
+            ride.vehicleType,
+            ride.rideType,
+            ride.pickup && ride.pickup.address,
+            ride.destination && ride.destination.address,
+            ride.distance ? (ride.distance / 1000).toFixed(2) : '',
+            ride.duration ? Math.round(ride.duration / 60) : '',
+            ride.fare.amount,
+            ride.myShare ? ride.myShare.amount : ride.fare.amount,
+            ride.tip || 0,
+            ride.refundedAmount || 0,
+            ride.fare.currency,
+            ride.paymentMethod,
+            other && other.fullname ? `${other.fullname.firstname} ${other.fullname.lastname || ''}`.trim() : ''
+        ];
+    });
+
+    return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\r\n');
+};
+
+const getScheduledRides = async (userId) => {
+    try {
+        const rides = await rideModel.find({
+            user: userId,
+            status: RIDE_STATUS.SCHEDULED
+        }).sort('scheduledFor');
+
+        return rides;
+    } catch (error) {
+        throw new Error('Failed to get scheduled rides: ' + error.message);
+    }
+};
+
+const updateScheduledRide = async ({ rideId, userId, scheduledFor, pickup, destination, vehicleType, stops }) => {
     try {
         const ride = await rideModel.findOne({
             _id: rideId,
             user: userId,
-            status: RIDE_STATUS.COMPLETED
+            status: RIDE_STATUS.SCHEDULED
         });
 
         if (!ride) {
-            throw new Error('Ride not found or not completed');
+            throw new Error('Scheduled ride not found');
         }
 
-        ride.rating = rating;
-        if (review) {
-            ride.review = review;
+        if (scheduledFor) {
+            ride.scheduledFor = scheduledFor;
+        }
+
+        // Re-quote the ride whenever the route or vehicle changes
+        if (pickup || destination || vehicleType || stops) {
+            const pickupObj = pickup || ride.pickup;
+            const destinationObj = destination || ride.destination;
+            const type = vehicleType || ride.vehicleType;
+            const rideStops = stops ? normalizeStops(stops) : ride.stops;
+
+            const fareResult = await getFare(pickupObj, destinationObj, rideStops, { city: ride.pricing?.city });
+            if (!fareResult.data[type]) {
+                throw new Error('Failed to calculate fare');
+            }
+
+            if (pickup) {
+                const { pickup: ridePickup, requestedPickup, pickupAdjustment } = await pickupService.buildRidePickup(pickup);
+                ride.pickup = ridePickup;
+                ride.requestedPickup = { address: requestedPickup.address, coordinates: requestedPickup.coordinates };
+                ride.pickupAdjustment = pickupAdjustment;
+            }
+            ride.destination = { address: destinationObj.address, coordinates: destinationObj.coordinates };
+            ride.stops = rideStops.map(stop => ({ address: stop.address, coordinates: stop.coordinates }));
+            ride.legs = fareResult.legs;
+            ride.vehicleType = type;
+
+            if (ride.fare.amount !== fareResult.data[type]) {
+                await recordRideEvent({
+                    ride,
+                    type: 'fare-changed',
+                    actor: { type: 'User', id: userId },
+                    data: { from: ride.fare.amount, to: fareResult.data[type], reason: 'scheduled-ride-updated' }
+                });
+            }
+            ride.fare.amount = fareResult.data[type];
+            ride.surgeMultiplier = fareResult.surgeMultiplier;
+            ride.surgeCell = fareResult.surgeCell;
+            ride.pricing = fareResult.pricing[type];
+            ride.distance = fareResult.distance.value;
+            ride.duration = fareResult.duration.value;
         }
+
         await ride.save();
 
         return ride;
     } catch (error) {
-        throw new Error('Failed to rate ride: ' + error.message);
+        throw new Error('Failed to update scheduled ride: ' + error.message);
     }
 };
 
-const getActiveRides = async (userId, userType) => {
-    try {
-        const query = userType === 'User' ? { user: userId } : { captain: userId };
-        query.status = { $in: [RIDE_STATUS.REQUESTED, RIDE_STATUS.ACCEPTED, RIDE_STATUS.ON_THE_WAY, RIDE_STATUS.IN_PROGRESS] };
-        
-        const rides = await rideModel.find(query)
-            .populate('user', 'fullname phone')
-            .populate('captain', 'fullname phone vehicle')
-            .sort('-createdAt');
-        
-        return rides;
-    } catch (error) {
-        throw new Error('Failed to get active rides: ' + error.message);
+// Move scheduled rides whose pickup is within the lead time into the normal request flow
+const releaseDueScheduledRides = async () => {
+    const releaseBefore = new Date(Date.now() + SCHEDULED_RIDE_CONFIG.leadTimeMinutes * 60000);
+    const dueRides = await rideModel.find({
+        status: RIDE_STATUS.SCHEDULED,
+        scheduledFor: { $lte: releaseBefore }
+    }).select('_id');
+
+    let released = 0;
+    for (const { _id } of dueRides) {
+        let ride;
+        try {
+            ride = await transition({
+                rideId: _id,
+                to: RIDE_STATUS.REQUESTED,
+                actor: { type: 'System' }
+            });
+        } catch (error) {
+            // Cancelled or released concurrently
+            console.error('Could not release scheduled ride:', _id, error.message);
+            continue;
+        }
+
+        released++;
+        try {
+            if (await matchPoolRide(ride)) {
+                continue;
+            }
+            await dispatchService.startDispatch(ride);
+        } catch (error) {
+            console.error('Error dispatching scheduled ride:', ride._id, error);
+        }
+    }
+
+    return released;
+};
+
+const routeLength = (distances, route) =>
+    route.slice(1).reduce((total, point, index) => total + distances[route[index]][point], 0);
+
+// Order a pool trip's remaining stops nearest-first, never dropping a rider off before picking them up.
+// Without a starting point every possible first stop is tried.
+const planPoolRoute = (distances, start, stops) => {
+    const isReady = (stop, remaining) => !stop.after || !remaining.includes(stop.after);
+    if (start === null) {
+        return stops.filter(stop => isReady(stop, stops))
+            .map(first => planPoolRoute(distances, first.index, stops.filter(stop => stop !== first)))
+            .reduce((best, route) => routeLength(distances, route) < routeLength(distances, best) ? route : best);
+    }
+
+    const route = [start];
+    const remaining = [...stops];
+    while (remaining.length > 0) {
+        const from = route[route.length - 1];
+        const next = remaining.filter(stop => isReady(stop, remaining))
+            .reduce((best, stop) => distances[from][stop.index] < distances[from][best.index] ? stop : best);
+        route.push(next.index);
+        remaining.splice(remaining.indexOf(next), 1);
     }
+    return route;
 };
 
-const getRideHistory = async (userId, userType) => {
+/**
+ * Extra distance, as a ratio of the trip's remaining route, of fitting a new rider into a pool trip.
+ * The remaining route runs from the captain's position through the pickups of riders still waiting
+ * and the drop-offs of every rider on the trip; the new pickup and drop-off are tried at every position.
+ * @param {Object[]} groupRides - Active rides of the pool trip
+ * @param {Object} captain - Captain driving the trip
+ * @param {Object} newRide - Requested pool ride
+ */
+const getPoolDetourRatio = async (groupRides, captain, newRide) => {
+    const points = [];
+    const addPoint = (coordinates) => points.push(coordinates) - 1;
+
+    const captainPosition = mapService.getCaptainPosition(captain);
+    const start = captainPosition ? addPoint(captainPosition) : null;
+    const stops = [];
+    groupRides.forEach(groupRide => {
+        const pickup = groupRide.status === RIDE_STATUS.IN_PROGRESS
+            ? null
+            : { index: addPoint(groupRide.pickup.coordinates.coordinates) };
+        if (pickup) {
+            stops.push(pickup);
+        }
+        stops.push({ index: addPoint(groupRide.destination.coordinates.coordinates), after: pickup });
+    });
+    const newPickup = addPoint(newRide.pickup.coordinates.coordinates);
+    const newDropOff = addPoint(newRide.destination.coordinates.coordinates);
+
+    const { distances } = await mapService.getDurationMatrix(points, points);
+    const route = planPoolRoute(distances, start, stops);
+    const current = routeLength(distances, route);
+
+    // The captain's position stays first; everything after it can be reordered around the new rider
+    let shortest = Infinity;
+    for (let i = start === null ? 0 : 1; i <= route.length; i++) {
+        for (let j = i; j <= route.length; j++) {
+            const candidate = [...route.slice(0, i), newPickup, ...route.slice(i, j), newDropOff, ...route.slice(j)];
+            shortest = Math.min(shortest, routeLength(distances, candidate));
+        }
+    }
+
+    if (current === 0) {
+        return shortest === 0 ? 0 : Infinity;
+    }
+    return (shortest - current) / current;
+};
+
+// Try to attach a requested pool ride to an active pool trip heading the same way.
+// Returns the updated ride, or null if no trip fits.
+const matchPoolRide = async (ride) => {
+    if (ride.rideType !== 'pool' || ride.status !== RIDE_STATUS.REQUESTED) {
+        return null;
+    }
+
+    // Any rider still on a trip keeps it open for matching, not just the one who started it
+    const nearbyRides = await rideModel.find({
+        _id: { $ne: ride._id },
+        rideType: 'pool',
+        vehicleType: POOL_CONFIG.vehicleType,
+        status: { $in: [RIDE_STATUS.ACCEPTED, RIDE_STATUS.ON_THE_WAY, RIDE_STATUS.IN_PROGRESS] },
+        captain: { $exists: true },
+        poolGroup: { $exists: true },
+        'pickup.coordinates': {
+            $near: {
+                $geometry: { type: 'Point', coordinates: ride.pickup.coordinates.coordinates },
+                $maxDistance: POOL_CONFIG.searchRadiusKm * 1000
+            }
+        }
+    }).limit(20).select('poolGroup');
+    const poolGroups = [...new Set(nearbyRides.map(nearby => nearby.poolGroup.toString()))];
+
+    let bestMatch = null;
+    for (const poolGroup of poolGroups) {
+        try {
+            const groupRides = await rideModel.find({
+                poolGroup,
+                status: { $in: [RIDE_STATUS.ACCEPTED, RIDE_STATUS.ON_THE_WAY, RIDE_STATUS.IN_PROGRESS] }
+            }).populate('captain', 'vehicle location lastLocationUpdate seatsTaken');
+            const captain = groupRides.length > 0 && groupRides[0].captain;
+            // Seats are claimed atomically on acceptance; this only skips trips that are clearly full
+            if (!captain || (captain.seatsTaken || 0) + ride.seats > captain.vehicle.capacity) {
+                continue;
+            }
+
+            const detourRatio = await getPoolDetourRatio(groupRides, captain, ride);
+            if (detourRatio <= POOL_CONFIG.maxDetourRatio && (!bestMatch || detourRatio < bestMatch.detourRatio)) {
+                bestMatch = { candidate: { captain, poolGroup: groupRides[0].poolGroup }, detourRatio };
+            }
+        } catch (error) {
+            console.error('Error evaluating pool trip:', poolGroup, error.message);
+        }
+    }
+
+    if (!bestMatch) {
+        return null;
+    }
+
+    const { candidate } = bestMatch;
+    let pooledRide;
     try {
-        const query = userType === 'User' ? { user: userId } : { captain: userId };
-        query.status = { $in: [RIDE_STATUS.COMPLETED, RIDE_STATUS.CANCELLED] };
-        
-        const rides = await rideModel.find(query)
-            .populate('user', 'fullname phone')
-            .populate('captain', 'fullname phone vehicle')
-            .sort('-createdAt');
-        
-        return rides;
+        pooledRide = await transition({
+            rideId: ride._id,
+            to: RIDE_STATUS.ACCEPTED,
+            actor: { type: 'System' },
+            data: { captainId: candidate.captain._id, poolGroup: candidate.poolGroup }
+        });
     } catch (error) {
-        throw new Error('Failed to get ride history: ' + error.message);
+        console.error('Could not attach ride to pool trip:', ride._id, error.message);
+        return null;
     }
+
+    getIO().to(`Captain-${candidate.captain._id}`).emit('pool:rider:added', {
+        rideId: pooledRide._id,
+        poolGroup: pooledRide.poolGroup,
+        pickup: pooledRide.pickup,
+        destination: pooledRide.destination,
+        seats: pooledRide.seats,
+        fare: pooledRide.fare
+    });
+
+    return pooledRide;
 };
 
 module.exports = {
     RIDE_STATUS,
+    POOL_CONFIG,
+    SCHEDULED_RIDE_CONFIG,
+    MAX_RIDE_STOPS,
+    validateScheduledTime,
+    validateStops,
     getFare,
     createRide,
+    getScheduledRides,
+    updateScheduledRide,
+    releaseDueScheduledRides,
+    matchPoolRide,
     confirmRide,
     startRide,
     endRide,
     cancelRide,
     rateRide,
     getActiveRides,
-    getRideHistory
+    buildLegProgress,
+    getRentalQuote,
+    trackRideDistance,
+    reachStop,
+    getRideHistory,
+    exportRideHistoryCsv
 };
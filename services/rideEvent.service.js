@@ -0,0 +1,137 @@
+const rideEventModel = require('../models/rideEvent.model');
+const rideModel = require('../models/ride.model');
+const { RIDE_STATUS, rideEvents } = require('./rideState.service');
+const { calculateDistance } = require('../utils/helpers');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Captain within this distance of a pickup or destination counts as having reached it
+const MILESTONE_RADIUS_METERS = parseInt(process.env.RIDE_MILESTONE_RADIUS_METERS, 10) || 100;
+
+const SYSTEM_ACTOR = { type: 'System' };
+
+/**
+ * Append an event to a ride's timeline. Failures are logged, never thrown,
+ * so recording history can't break the ride flow itself.
+ * @param {Object} params
+ * @param {*} params.ride - Ride document or id
+ * @param {string} params.type - Event type
+ * @param {{type: string, id: *}} [params.actor] - Who caused the event
+ * @param {Object} [params.data] - Event details
+ */
+const recordRideEvent = async ({ ride, type, actor = SYSTEM_ACTOR, data = {} }) => {
+    try {
+        return await rideEventModel.create({
+            ride: ride._id || ride,
+            type,
+            actor: { type: actor.type, id: actor.id },
+            data
+        });
+    } catch (error) {
+        console.error('Error recording ride event:', type, error.message);
+        return null;
+    }
+};
+
+const hasMilestone = async (rideId, milestone) => {
+    return !!(await rideEventModel.exists({
+        ride: rideId,
+        type: 'location-milestone',
+        'data.milestone': milestone
+    }));
+};
+
+// Record the first time the captain comes within range of the pickup or destination
+const checkLocationMilestones = async (ride, lat, lng) => {
+    let milestone = null;
+    let target = null;
+
+    if (ride.status === RIDE_STATUS.ACCEPTED || ride.status === RIDE_STATUS.ON_THE_WAY) {
+        milestone = 'arrived-at-pickup';
+        target = ride.pickup;
+    } else if (ride.status === RIDE_STATUS.IN_PROGRESS) {
+        milestone = 'arrived-at-destination';
+        target = ride.destination;
+    }
+
+    if (!milestone) {
+        return;
+    }
+
+    const [targetLng, targetLat] = target.coordinates.coordinates;
+    const distanceMeters = calculateDistance(lat, lng, targetLat, targetLng) * 1000;
+    if (distanceMeters > MILESTONE_RADIUS_METERS || await hasMilestone(ride._id, milestone)) {
+        return;
+    }
+
+    await recordRideEvent({
+        ride,
+        type: 'location-milestone',
+        actor: { type: 'Captain', id: ride.captain._id || ride.captain },
+        data: { milestone, location: { lat, lng } }
+    });
+};
+
+/**
+ * Get a ride's timeline. Visible to the rider, the assigned captain and admins.
+ * @param {string} rideId - Ride id
+ * @param {{type: string, id: *}} requester - 'User', 'Captain' or 'Admin' and their id
+ * @returns {Promise<Array>} Events in chronological order
+ */
+const getRideTimeline = async (rideId, requester) => {
+    const ride = await rideModel.findById(rideId).select('user captain');
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+
+    const isRider = requester.type === 'User' && ride.user.equals(requester.id);
+    const isCaptain = requester.type === 'Captain' && ride.captain && ride.captain.equals(requester.id);
+    if (!isRider && !isCaptain && requester.type !== 'Admin') {
+        throw new ForbiddenError('You do not have access to this ride');
+    }
+
+    return rideEventModel.find({ ride: ride._id }).sort('createdAt');
+};
+
+rideEvents.on('transition', ({ ride, from, to, actor, data }) => {
+    const isCancellation = to === RIDE_STATUS.CANCELLED;
+    recordRideEvent({
+        ride,
+        type: isCancellation ? 'ride-cancelled' : 'status-changed',
+        actor,
+        data: {
+            from,
+            to,
+            ...(isCancellation && { reason: ride.cancellationReason }),
+            ...(to === RIDE_STATUS.ACCEPTED && { captain: ride.captain }),
+            ...(to === RIDE_STATUS.COMPLETED && { paymentMethod: data.paymentMethod, tip: data.tip })
+        }
+    });
+});
+
+// Rentals are re-priced at completion once overage is known
+rideEvents.on('transition', ({ ride, to }) => {
+    const overage = ride.rental && ride.rental.overage;
+    if (to !== RIDE_STATUS.COMPLETED || !overage || !overage.amount) {
+        return;
+    }
+    recordRideEvent({
+        ride,
+        type: 'fare-changed',
+        data: {
+            from: ride.rental.packagePrice,
+            to: ride.fare.amount,
+            reason: 'rental-overage',
+            overage
+        }
+    });
+});
+
+rideEvents.on('otp-attempt', ({ ride, actor, success }) => {
+    recordRideEvent({ ride, type: 'otp-attempt', actor, data: { success } });
+});
+
+module.exports = {
+    recordRideEvent,
+    checkLocationMilestones,
+    getRideTimeline
+};
@@ -0,0 +1,440 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const rideModel = require('../models/ride.model');
+const captainModel = require('../models/captain.model');
+const { getIO } = require('../socket');
+const pricingService = require('./pricing.service');
+const mapService = require('./maps.service');
+const {
+    BadRequestError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError
+} = require('../utils/errors');
+
+const RIDE_STATUS = {
+    SCHEDULED: 'scheduled',
+    REQUESTED: 'requested',
+    ACCEPTED: 'accepted',
+    ON_THE_WAY: 'on-the-way',
+    IN_PROGRESS: 'in-progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [RIDE_STATUS.ACCEPTED, RIDE_STATUS.ON_THE_WAY, RIDE_STATUS.IN_PROGRESS];
+
+// Allowed transitions. Captains may start a ride straight from `accepted`;
+// `on-the-way` is an optional notification step before pickup.
+const TRANSITIONS = {
+    [RIDE_STATUS.SCHEDULED]: [RIDE_STATUS.REQUESTED, RIDE_STATUS.CANCELLED],
+    [RIDE_STATUS.REQUESTED]: [RIDE_STATUS.ACCEPTED, RIDE_STATUS.CANCELLED],
+    [RIDE_STATUS.ACCEPTED]: [RIDE_STATUS.ON_THE_WAY, RIDE_STATUS.IN_PROGRESS, RIDE_STATUS.CANCELLED],
+    [RIDE_STATUS.ON_THE_WAY]: [RIDE_STATUS.IN_PROGRESS, RIDE_STATUS.CANCELLED],
+    [RIDE_STATUS.IN_PROGRESS]: [RIDE_STATUS.COMPLETED, RIDE_STATUS.CANCELLED],
+    [RIDE_STATUS.COMPLETED]: [],
+    [RIDE_STATUS.CANCELLED]: []
+};
+
+// Transition hooks for other modules, e.g. rideEvents.on('transition', ({ ride, from, to, actor, data }) => ...)
+const rideEvents = new EventEmitter();
+
+const RIDE_TAKEN_MESSAGE = 'Ride has already been taken by another captain';
+
+// Tell a captain who lost an acceptance race that the ride is gone
+const rideTaken = (ride, actor) => {
+    if (actor.type === 'Captain') {
+        getIO().to(`Captain-${actor.id}`).emit('ride:taken', { rideId: ride._id });
+    }
+    return new ConflictError(RIDE_TAKEN_MESSAGE);
+};
+
+// Final fare for a rental: the package plus time beyond the purchased hours and distance beyond the included km
+const billRentalOverage = (ride) => {
+    const startedAt = ride.actualArrivalTime || ride.createdAt;
+    const overage = pricingService.calculateRentalOverage(ride.rental, {
+        elapsedMinutes: (Date.now() - startedAt.getTime()) / 60000,
+        // Fall back to the planned route if the captain's location was never tracked
+        distanceKm: (ride.trackedDistance || ride.distance || 0) / 1000
+    });
+
+    return {
+        'rental.overage': overage,
+        'fare.amount': ride.rental.packagePrice + overage.amount
+    };
+};
+
+// Used when the captain's position is unknown
+const DEFAULT_PICKUP_ETA_MINUTES = 10;
+
+// When the captain should reach the pickup, from their last reported position and the driving time
+const estimatePickupArrival = async (captainId, ride) => {
+    const captain = await captainModel.findById(captainId).select('location lastLocationUpdate');
+    const from = mapService.getCaptainPosition(captain);
+    if (!from) {
+        return new Date(Date.now() + DEFAULT_PICKUP_ETA_MINUTES * 60000);
+    }
+
+    const { durations } = await mapService.getDurationMatrix([from], [ride.pickup.coordinates.coordinates]);
+    return new Date(Date.now() + Math.round(durations[0][0]) * 1000);
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isSameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+const assertAssignedCaptain = (ride, actor) => {
+    if (actor.type !== 'Captain' || !isSameId(ride.captain, actor.id)) {
+        throw new ForbiddenError('Only the assigned captain can update this ride');
+    }
+};
+
+// Mark the captain available again once they have no other active rides (pool trips can overlap)
+const releaseCaptain = async (ride) => {
+    if (!ride.captain) {
+        return;
+    }
+
+    const otherActiveRides = await rideModel.countDocuments({
+        _id: { $ne: ride._id },
+        captain: ride.captain,
+        status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (otherActiveRides === 0) {
+        await captainModel.findByIdAndUpdate(ride.captain, {
+            isAvailable: true,
+            lastSeen: new Date(),
+            seatsTaken: 0
+        });
+    } else {
+        await captainModel.findByIdAndUpdate(ride.captain, { $inc: { seatsTaken: -(ride.seats || 1) } });
+    }
+};
+
+/*
+ * Rules per target status:
+ *   actors - who may trigger the transition
+ *   guard  - throws if the transition is not allowed for this ride/actor/data
+ *   apply  - fields to set alongside the new status (may be async)
+ *   commit - optional custom write replacing the default conditional update
+ *   after  - side effects once the ride has been updated
+ */
+const RULES = {
+    [RIDE_STATUS.REQUESTED]: {
+        actors: ['System'],
+        apply: () => ({ dispatchedAt: new Date() })
+    },
+
+    [RIDE_STATUS.ACCEPTED]: {
+        actors: ['Captain', 'System'],
+        guard: async (ride, actor, data) => {
+            if (actor.type === 'System') {
+                // System acceptance attaches a ride to a captain already on a trip (pool matching)
+                if (!data.captainId) {
+                    throw new BadRequestError('A captain is required to accept a ride');
+                }
+                return;
+            }
+
+            // Required here rather than at the top: dispatch requires this module for its transition hooks
+            const dispatchService = require('./dispatch.service');
+            if (!dispatchService.hasPendingOffer(ride._id, actor.id)) {
+                throw new ForbiddenError('This ride has not been offered to you, or the offer has expired');
+            }
+
+            // Availability is re-checked atomically in commit; these checks can't change under us
+            const captain = await captainModel.findById(actor.id);
+            if (!captain) {
+                throw new NotFoundError('Captain not found');
+            }
+            if (captain.vehicle.vehicleType !== ride.vehicleType) {
+                throw new BadRequestError('Vehicle type does not match the ride request');
+            }
+            if (ride.seats > captain.vehicle.capacity) {
+                throw new BadRequestError('Vehicle does not have enough seats for this ride');
+            }
+        },
+        apply: async (ride, actor, data) => {
+            const captainId = actor.type === 'System' ? data.captainId : actor.id;
+            return {
+                captain: captainId,
+                estimatedArrivalTime: await estimatePickupArrival(captainId, ride),
+                ...(data.poolGroup && { poolGroup: data.poolGroup })
+            };
+        },
+        // Claim the captain and the ride in one transaction so two captains
+        // accepting the same request cannot both win
+        commit: async (ride, from, updates, actor) => {
+            const session = await mongoose.startSession();
+            let updatedRide;
+            let taken = false;
+            try {
+                await session.withTransaction(async () => {
+                    taken = false;
+                    const seats = ride.seats || 1;
+                    const captainQuery = { _id: updates.captain };
+                    const captainUpdate = { $set: { isAvailable: false, lastSeen: new Date() } };
+                    if (actor.type === 'Captain') {
+                        captainQuery.isAvailable = true;
+                        captainUpdate.$set.seatsTaken = seats;
+                    } else {
+                        // Pool matching: claim seats only if the vehicle still has room for them
+                        captainQuery.$expr = {
+                            $lte: [{ $add: [{ $ifNull: ['$seatsTaken', 0] }, seats] }, '$vehicle.capacity']
+                        };
+                        captainUpdate.$inc = { seatsTaken: seats };
+                    }
+
+                    const captain = await captainModel.findOneAndUpdate(
+                        captainQuery,
+                        captainUpdate,
+                        { new: true, session }
+                    );
+                    if (!captain) {
+                        throw new ConflictError(actor.type === 'Captain'
+                            ? 'Captain is not available'
+                            : 'Not enough seats left on this pool trip');
+                    }
+
+                    updatedRide = await rideModel.findOneAndUpdate(
+                        { _id: ride._id, status: from },
+                        { $set: { ...updates, status: RIDE_STATUS.ACCEPTED } },
+                        { new: true, session }
+                    );
+                    if (!updatedRide) {
+                        taken = true;
+                        throw new ConflictError(RIDE_TAKEN_MESSAGE);
+                    }
+                });
+            } catch (error) {
+                // Notify only once the transaction has aborted, never from inside a callback that may be retried
+                if (taken) {
+                    throw rideTaken(ride, actor);
+                }
+                throw error;
+            } finally {
+                await session.endSession();
+            }
+            return updatedRide;
+        }
+    },
+
+    [RIDE_STATUS.ON_THE_WAY]: {
+        actors: ['Captain'],
+        guard: async (ride, actor) => assertAssignedCaptain(ride, actor),
+        apply: async (ride, actor) => ({
+            estimatedArrivalTime: await estimatePickupArrival(actor.id, ride)
+        })
+    },
+
+    [RIDE_STATUS.IN_PROGRESS]: {
+        actors: ['Captain'],
+        guard: async (ride, actor, data) => {
+            assertAssignedCaptain(ride, actor);
+            const success = !!data.otp && ride.otp === String(data.otp);
+            rideEvents.emit('otp-attempt', { ride, actor, success });
+            if (!success) {
+                throw new BadRequestError('Invalid OTP');
+            }
+        },
+        apply: () => ({ actualArrivalTime: new Date() })
+    },
+
+    [RIDE_STATUS.COMPLETED]: {
+        actors: ['Captain'],
+        guard: async (ride, actor) => assertAssignedCaptain(ride, actor),
+        apply: (ride, actor, data) => ({
+            actualEndTime: new Date(),
+            ...(data.paymentMethod && { paymentMethod: data.paymentMethod }),
+            ...(data.tip && { tip: data.tip }),
+            ...(ride.rideType === 'rental' && ride.rental && billRentalOverage(ride))
+        }),
+        after: releaseCaptain
+    },
+
+    [RIDE_STATUS.CANCELLED]: {
+        actors: ['User', 'Captain', 'System'],
+        guard: async (ride, actor) => {
+            if (actor.type === 'User') {
+                if (!isSameId(ride.user, actor.id)) {
+                    throw new ForbiddenError('Only the rider can cancel this ride');
+                }
+                if (ride.status === RIDE_STATUS.IN_PROGRESS) {
+                    throw new BadRequestError('A ride in progress cannot be cancelled');
+                }
+            } else if (actor.type === 'Captain') {
+                assertAssignedCaptain(ride, actor);
+                if (ride.status === RIDE_STATUS.IN_PROGRESS) {
+                    throw new BadRequestError('A ride in progress cannot be cancelled');
+                }
+            }
+        },
+        apply: (ride, actor, data) => ({
+            cancellationReason: data.reason || `Cancelled by ${actor.type.toLowerCase()}`,
+            cancelledBy: actor.type
+        }),
+        after: releaseCaptain
+    }
+};
+
+/**
+ * Ride as shown to captains: never the OTP, and for guest bookings the guest's
+ * name and phone in place of the booker's account.
+ * @param {Object} ride - Ride document, optionally with user populated
+ * @returns {Object} Plain object safe to send to a captain
+ */
+const toCaptainView = (ride) => {
+    const view = typeof ride.toObject === 'function' ? ride.toObject() : { ...ride };
+    delete view.otp;
+
+    if (view.passenger && view.passenger.name) {
+        view.user = {
+            _id: view.user && view.user._id ? view.user._id : view.user,
+            fullname: { firstname: view.passenger.name },
+            phone: view.passenger.phone,
+            isGuest: true
+        };
+    }
+    if (view.passenger) {
+        delete view.passenger.trackingToken;
+    }
+    return view;
+};
+
+// Push the new state to the rider and captain, including the legacy per-status events clients listen for
+const notifyParties = async (ride, from, to, data) => {
+    const io = getIO();
+    const populatedRide = await rideModel.findById(ride._id)
+        .populate('user', 'fullname phone')
+        .populate('captain', 'fullname phone vehicle');
+
+    const captainView = toCaptainView(populatedRide);
+
+    const userRoom = `User-${ride.user}`;
+    const captainRoom = ride.captain ? `Captain-${ride.captain}` : null;
+
+    io.to(userRoom).emit('ride:status:updated', { status: to, data: populatedRide });
+    if (captainRoom) {
+        io.to(captainRoom).emit('ride:status:updated', { status: to, data: captainView });
+    }
+
+    switch (to) {
+        case RIDE_STATUS.IN_PROGRESS:
+            io.to(userRoom).emit('ride:started', populatedRide);
+            break;
+        case RIDE_STATUS.COMPLETED:
+            io.to(userRoom).emit('ride:completed', populatedRide);
+            break;
+        case RIDE_STATUS.CANCELLED:
+            io.to(userRoom).emit('ride:cancelled', { rideId: ride._id, reason: ride.cancellationReason });
+            if (captainRoom) {
+                io.to(captainRoom).emit('ride:cancelled', { rideId: ride._id, reason: ride.cancellationReason });
+            }
+            break;
+    }
+
+    if (ride.rideType === 'pool' && ride.poolGroup) {
+        if (to === RIDE_STATUS.IN_PROGRESS) {
+            await notifyPoolEvent(ride, 'pool:rider:picked-up');
+        } else if (to === RIDE_STATUS.COMPLETED) {
+            await notifyPoolEvent(ride, 'pool:rider:dropped-off');
+        }
+    }
+};
+
+// Tell the captain and other riders on a pool trip that a rider was picked up or dropped off
+const notifyPoolEvent = async (ride, event) => {
+    const io = getIO();
+    const payload = { rideId: ride._id, poolGroup: ride.poolGroup, user: ride.user };
+    const poolRides = await rideModel.find({
+        poolGroup: ride.poolGroup,
+        _id: { $ne: ride._id },
+        status: { $in: ACTIVE_STATUSES }
+    }).select('user');
+
+    io.to(`Captain-${ride.captain}`).emit(event, payload);
+    poolRides.forEach(poolRide => {
+        io.to(`User-${poolRide.user}`).emit(event, payload);
+    });
+};
+
+/**
+ * Move a ride to a new status. Every entry point (REST, sockets, scheduler,
+ * pool matching) goes through here so the lifecycle cannot diverge.
+ * @param {Object} params
+ * @param {string} params.rideId - Ride to update
+ * @param {string} params.to - Target status
+ * @param {{type: string, id: *}} params.actor - 'User', 'Captain' or 'System' and their id
+ * @param {Object} [params.data] - Transition input (otp, reason, paymentMethod, tip, captainId)
+ * @returns {Promise<Object>} The updated ride
+ */
+const transition = async ({ rideId, to, actor, data = {} }) => {
+    const rule = RULES[to];
+    if (!rule) {
+        throw new BadRequestError(`Unknown ride status: ${to}`);
+    }
+
+    const ride = await rideModel.findById(rideId);
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+
+    const from = ride.status;
+    if (!canTransition(from, to)) {
+        if (to === RIDE_STATUS.ACCEPTED && ride.captain) {
+            throw rideTaken(ride, actor);
+        }
+        throw new BadRequestError(`Invalid status transition from ${from} to ${to}`);
+    }
+
+    if (!rule.actors.includes(actor.type)) {
+        throw new ForbiddenError(`${actor.type} cannot move a ride to ${to}`);
+    }
+
+    if (rule.guard) {
+        await rule.guard(ride, actor, data);
+    }
+
+    const updates = rule.apply ? await rule.apply(ride, actor, data) : {};
+
+    let updatedRide;
+    if (rule.commit) {
+        updatedRide = await rule.commit(ride, from, updates, actor, data);
+    } else {
+        // Conditional on the status we validated against, so concurrent transitions cannot both apply
+        updatedRide = await rideModel.findOneAndUpdate(
+            { _id: ride._id, status: from },
+            { $set: { ...updates, status: to } },
+            { new: true }
+        );
+
+        if (!updatedRide) {
+            throw new ConflictError('Ride status changed, please retry');
+        }
+    }
+
+    if (rule.after) {
+        await rule.after(updatedRide, from, actor, data);
+    }
+
+    rideEvents.emit('transition', { ride: updatedRide, from, to, actor, data });
+
+    try {
+        await notifyParties(updatedRide, from, to, data);
+    } catch (error) {
+        console.error('Error notifying ride status update:', error);
+    }
+
+    return updatedRide;
+};
+
+module.exports = {
+    RIDE_STATUS,
+    ACTIVE_STATUSES,
+    TRANSITIONS,
+    rideEvents,
+    canTransition,
+    transition,
+    toCaptainView
+};
@@ -0,0 +1,139 @@
+const userModel = require('../models/user.model');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const SAVED_PLACE_CONFIG = {
+    maxPlaces: parseInt(process.env.MAX_SAVED_PLACES, 10) || 20,
+    // Only one home and one work place per rider
+    uniqueTypes: ['home', 'work']
+};
+
+const findUser = async (userId) => {
+    const user = await userModel.findById(userId).select('savedPlaces');
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    return user;
+};
+
+const findPlace = (user, placeId) => {
+    const place = user.savedPlaces.id(placeId);
+    if (!place) {
+        throw new NotFoundError('Saved place not found');
+    }
+    return place;
+};
+
+const assertTypeAvailable = (user, type, placeId) => {
+    if (!SAVED_PLACE_CONFIG.uniqueTypes.includes(type)) {
+        return;
+    }
+    const existing = user.savedPlaces.find(place => place.type === type && !place._id.equals(placeId));
+    if (existing) {
+        throw new ConflictError(`You already have a ${type} place saved`);
+    }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const listSavedPlaces = async (userId) => {
+    const user = await findUser(userId);
+    return user.savedPlaces;
+};
+
+/**
+ * Save a place on the rider's profile.
+ * @param {string} userId - Rider
+ * @param {Object} place - { label, type, address, coordinates: { type: 'Point', coordinates: [lng, lat] }, notes }
+ */
+const addSavedPlace = async (userId, { label, type = 'other', address, coordinates, notes }) => {
+    const user = await findUser(userId);
+    if (user.savedPlaces.length >= SAVED_PLACE_CONFIG.maxPlaces) {
+        throw new BadRequestError(`You can save at most ${SAVED_PLACE_CONFIG.maxPlaces} places`);
+    }
+    assertTypeAvailable(user, type);
+
+    user.savedPlaces.push({ label, type, address, coordinates, notes });
+    await user.save();
+    return user.savedPlaces[user.savedPlaces.length - 1];
+};
+
+/**
+ * Update a saved place. Only the fields given are changed.
+ * @param {string} userId - Rider
+ * @param {string} placeId - Saved place id
+ * @param {Object} updates - Any of label, type, address, coordinates, notes
+ */
+const updateSavedPlace = async (userId, placeId, updates) => {
+    const user = await findUser(userId);
+    const place = findPlace(user, placeId);
+    if (updates.type) {
+        assertTypeAvailable(user, updates.type, place._id);
+    }
+
+    ['label', 'type', 'address', 'coordinates', 'notes'].forEach(field => {
+        if (updates[field] !== undefined) {
+            place[field] = updates[field];
+        }
+    });
+    await user.save();
+    return place;
+};
+
+const removeSavedPlace = async (userId, placeId) => {
+    const user = await findUser(userId);
+    findPlace(user, placeId).deleteOne();
+    await user.save();
+};
+
+/**
+ * Pickup or destination for a new ride, built from a saved place.
+ * @param {Object} user - Rider document with savedPlaces
+ * @param {string} placeId - Saved place id
+ */
+const toRideLocation = (user, placeId) => {
+    const place = findPlace(user, placeId);
+    return {
+        address: place.address,
+        coordinates: {
+            type: 'Point',
+            coordinates: [place.coordinates.coordinates[0], place.coordinates.coordinates[1]]
+        },
+        notes: place.notes
+    };
+};
+
+/**
+ * Saved places whose label or address matches the autocomplete input,
+ * in the same shape as map suggestions.
+ * @param {string} userId - Rider
+ * @param {string} input - Text typed so far
+ */
+const matchSavedPlaces = async (userId, input) => {
+    const user = await findUser(userId);
+    const pattern = new RegExp(escapeRegex(input.trim()), 'i');
+
+    return user.savedPlaces
+        .filter(place => pattern.test(place.label) || pattern.test(place.address))
+        .map(place => ({
+            address: place.address,
+            lat: place.coordinates.coordinates[1],
+            lng: place.coordinates.coordinates[0],
+            display_name: `${place.label} - ${place.address}`,
+            type: 'saved',
+            saved: true,
+            placeId: place._id,
+            label: place.label,
+            placeType: place.type,
+            notes: place.notes
+        }));
+};
+
+module.exports = {
+    SAVED_PLACE_CONFIG,
+    listSavedPlaces,
+    addSavedPlace,
+    updateSavedPlace,
+    removeSavedPlace,
+    toRideLocation,
+    matchSavedPlaces
+};
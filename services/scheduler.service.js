@@ -0,0 +1,98 @@
+const rideService = require('./ride.service');
+const surgeService = require('./surge.service');
+const recurringRideService = require('./recurringRide.service');
+const dispatchService = require('./dispatch.service');
+const batchMatchingService = require('./batchMatching.service');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60000;
+const SURGE_INTERVAL_MS = parseInt(process.env.SURGE_INTERVAL_MS, 10) || 60000;
+const RECURRING_RIDE_INTERVAL_MS = parseInt(process.env.RECURRING_RIDE_INTERVAL_MS, 10) || 15 * 60000;
+
+// Wrap a task so a tick is skipped while the previous run is still going
+const createJob = (name, task, intervalMs) => {
+    let isRunning = false;
+
+    const run = async () => {
+        if (isRunning) {
+            return;
+        }
+
+        isRunning = true;
+        try {
+            await task();
+        } catch (error) {
+            console.error(`Error in ${name}:`, error);
+        } finally {
+            isRunning = false;
+        }
+    };
+
+    return { name, run, intervalMs, timer: null };
+};
+
+const runScheduledRideDispatch = async () => {
+    const released = await rideService.releaseDueScheduledRides();
+    if (released > 0) {
+        console.log(`Released ${released} scheduled ride(s) for dispatch`);
+    }
+};
+
+const runRecurringRideBooking = async () => {
+    const created = await recurringRideService.materializeRecurringRides();
+    if (created > 0) {
+        console.log(`Booked ${created} ride(s) from recurring schedules`);
+    }
+};
+
+const resumeDispatch = async () => {
+    const resumed = await dispatchService.resumeDispatch();
+    if (resumed > 0) {
+        console.log(`Resumed dispatch for ${resumed} requested ride(s)`);
+    }
+};
+
+const jobs = [
+    createJob('scheduled ride dispatcher', runScheduledRideDispatch, SCHEDULER_INTERVAL_MS),
+    createJob('surge pricing', surgeService.recomputeSurge, SURGE_INTERVAL_MS),
+    createJob('recurring ride booking', runRecurringRideBooking, RECURRING_RIDE_INTERVAL_MS)
+];
+
+// Batch dispatch pairs waiting requests with captains once per matching window
+if (dispatchService.DISPATCH_CONFIG.mode === 'batch') {
+    jobs.push(createJob(
+        'batch matching',
+        batchMatchingService.runBatchMatching,
+        batchMatchingService.BATCH_MATCHING_CONFIG.windowMs
+    ));
+}
+
+const startScheduler = () => {
+    // Dispatch jobs live in memory, so requests left open by a restart are dispatched again
+    resumeDispatch().catch(error => console.error('Error resuming dispatch:', error));
+
+    jobs.forEach(job => {
+        if (job.timer) {
+            return;
+        }
+
+        job.timer = setInterval(job.run, job.intervalMs);
+        job.run();
+        console.log(`${job.name} running every ${job.intervalMs / 1000}s`);
+    });
+};
+
+const stopScheduler = () => {
+    jobs.forEach(job => {
+        if (job.timer) {
+            clearInterval(job.timer);
+            job.timer = null;
+        }
+    });
+};
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+    runScheduledRideDispatch,
+    runRecurringRideBooking
+};
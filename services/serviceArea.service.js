@@ -0,0 +1,159 @@
+const NodeCache = require('node-cache');
+const serviceAreaModel = require('../models/serviceArea.model');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { validateTimezone } = require('../utils/validators');
+
+// Areas are edited rarely; cache whether coverage is configured at all so lookups stay cheap
+const areaCache = new NodeCache({ stdTTL: 60 });
+
+// Until a city area is added, rides are allowed anywhere, as before service areas existed
+const hasCoverage = async () => {
+    if (areaCache.has('hasCoverage')) {
+        return areaCache.get('hasCoverage');
+    }
+    const exists = !!(await serviceAreaModel.exists({ type: 'city', isActive: true }));
+    areaCache.set('hasCoverage', exists);
+    return exists;
+};
+
+// Active areas containing a point
+const findAreasAt = async ([lng, lat]) => {
+    return serviceAreaModel.find({
+        isActive: true,
+        geometry: {
+            $geoIntersects: {
+                $geometry: { type: 'Point', coordinates: [Number(lng), Number(lat)] }
+            }
+        }
+    });
+};
+
+/**
+ * The city area serving a point, or a BadRequestError if the point is outside coverage or in a no-go zone.
+ * @param {number[]} coordinates - [lng, lat]
+ * @param {string} label - How the point is described in errors, e.g. 'pickup'
+ * @returns {Promise<Object|null>} Service area, or null when no coverage is configured
+ */
+const resolveArea = async (coordinates, label) => {
+    if (!(await hasCoverage())) {
+        return null;
+    }
+
+    const areas = await findAreasAt(coordinates);
+    const noGo = areas.find(area => area.type === 'no-go');
+    if (noGo) {
+        throw new BadRequestError(`Rides are not available at your ${label} (${noGo.name})`);
+    }
+
+    const city = areas.find(area => area.type === 'city');
+    if (!city) {
+        throw new BadRequestError(`Your ${label} is outside our service area`);
+    }
+    return city;
+};
+
+/**
+ * Check that a trip can be served: pickup, stops and destination inside coverage and outside no-go zones,
+ * and the vehicle type offered in the pickup's area.
+ * @param {Object} trip - { pickup, destination, stops, vehicleType }
+ * @returns {Promise<Object|null>} The pickup's service area, or null when no coverage is configured
+ */
+const checkTrip = async ({ pickup, destination, stops = [], vehicleType }) => {
+    const area = await resolveArea(pickup.coordinates.coordinates, 'pickup');
+    if (!area) {
+        return null;
+    }
+
+    for (let i = 0; i < stops.length; i++) {
+        await resolveArea(stops[i].coordinates.coordinates, `stop ${i + 1}`);
+    }
+    await resolveArea(destination.coordinates.coordinates, 'destination');
+
+    if (vehicleType && !area.settings.vehicleTypes.includes(vehicleType)) {
+        throw new BadRequestError(`${vehicleType} rides are not available in ${area.name}`);
+    }
+    return area;
+};
+
+// Area details shared with riders alongside fares
+const toAreaSummary = (area) => area ? {
+    serviceAreaId: area._id,
+    name: area.name,
+    city: area.city,
+    currency: area.settings.currency,
+    timezone: area.settings.timezone,
+    vehicleTypes: area.settings.vehicleTypes
+} : null;
+
+const saveArea = async (area) => {
+    if (area.settings && area.settings.timezone && !validateTimezone(area.settings.timezone)) {
+        throw new BadRequestError('Invalid timezone');
+    }
+    try {
+        await area.save();
+    } catch (error) {
+        // The 2dsphere index rejects self-intersecting or unclosed polygons
+        if (error.code === 16755) {
+            throw new BadRequestError('Invalid area geometry: polygons must be closed and must not cross themselves');
+        }
+        throw error;
+    }
+    areaCache.flushAll();
+    return area;
+};
+
+// Admin: add a city or no-go area
+const createArea = async ({ name, type, city, geometry, settings }, adminId) => {
+    return saveArea(new serviceAreaModel({ name, type, city, geometry, settings, createdBy: adminId }));
+};
+
+const listAreas = async ({ type, city } = {}) => {
+    const query = {};
+    if (type) {
+        query.type = type;
+    }
+    if (city) {
+        query.city = city.toLowerCase();
+    }
+    return serviceAreaModel.find(query).sort('name');
+};
+
+// Admin: change an area's shape or settings, or set isActive to false to switch it off
+const updateArea = async (areaId, updates) => {
+    const area = await serviceAreaModel.findById(areaId);
+    if (!area) {
+        throw new NotFoundError('Service area not found');
+    }
+
+    ['name', 'type', 'city', 'geometry', 'isActive'].forEach(field => {
+        if (updates[field] !== undefined) {
+            area[field] = updates[field];
+        }
+    });
+    if (updates.settings) {
+        ['currency', 'timezone', 'vehicleTypes'].forEach(field => {
+            if (updates.settings[field] !== undefined) {
+                area.settings[field] = updates.settings[field];
+            }
+        });
+    }
+    return saveArea(area);
+};
+
+const deleteArea = async (areaId) => {
+    const area = await serviceAreaModel.findByIdAndDelete(areaId);
+    if (!area) {
+        throw new NotFoundError('Service area not found');
+    }
+    areaCache.flushAll();
+};
+
+module.exports = {
+    resolveArea,
+    checkTrip,
+    toAreaSummary,
+    createArea,
+    listAreas,
+    updateArea,
+    deleteArea
+};
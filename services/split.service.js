@@ -0,0 +1,267 @@
+const rideModel = require('../models/ride.model');
+const userModel = require('../models/user.model');
+const { RIDE_STATUS, ACTIVE_STATUSES, rideEvents } = require('./rideState.service');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { getIO } = require('../socket');
+
+const SPLIT_CONFIG = {
+    vehicleTypes: ['car'],
+    maxParticipants: parseInt(process.env.SPLIT_MAX_PARTICIPANTS, 10) || 4 // Including the requester
+};
+
+// Fares can be split until the ride is over
+const SPLITTABLE_STATUSES = [RIDE_STATUS.SCHEDULED, ...ACTIVE_STATUSES];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isSameUser = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+const findParticipant = (ride, userId) =>
+    ride.split && ride.split.participants.find(participant => isSameUser(participant.user, userId));
+
+const emitSplitUpdate = (ride) => {
+    const io = getIO();
+    ride.split.participants.forEach(participant => {
+        io.to(`User-${participant.user}`).emit('ride:split:updated', {
+            rideId: ride._id,
+            split: ride.split
+        });
+    });
+};
+
+/**
+ * Invite registered users to share the fare of a ride.
+ * @param {Object} params
+ * @param {string} params.rideId - Ride to split
+ * @param {string} params.userId - Requesting rider
+ * @param {Array<{email: string, sharePercent?: number}>} params.participants - Riders to invite
+ * @param {string} [params.mode] - 'even' (default) or 'custom'
+ * @returns {Promise<Object>} Updated ride
+ */
+const inviteToSplit = async ({ rideId, userId, participants, mode }) => {
+    const ride = await rideModel.findById(rideId);
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+    if (!isSameUser(ride.user, userId)) {
+        throw new ForbiddenError('Only the rider who requested the ride can split it');
+    }
+    if (!SPLIT_CONFIG.vehicleTypes.includes(ride.vehicleType) || ride.rideType !== 'standard') {
+        throw new BadRequestError(`Fare splitting is only available for ${SPLIT_CONFIG.vehicleTypes.join(', ')} rides`);
+    }
+    if (!SPLITTABLE_STATUSES.includes(ride.status)) {
+        throw new BadRequestError(`Cannot split a ${ride.status} ride`);
+    }
+
+    const splitMode = mode || (ride.split && ride.split.mode) || 'even';
+    const existing = ride.split && ride.split.participants.length > 0
+        ? ride.split.participants
+        : [{ user: ride.user, status: 'accepted', respondedAt: new Date() }];
+
+    const emails = participants.map(participant => participant.email.toLowerCase());
+    const users = await userModel.find({ email: { $in: emails } }).select('_id email');
+    const missing = emails.filter(email => !users.some(user => user.email === email));
+    if (missing.length > 0) {
+        throw new NotFoundError(`No registered user for: ${missing.join(', ')}`);
+    }
+
+    const invites = participants.map(participant => ({
+        user: users.find(user => user.email === participant.email.toLowerCase())._id,
+        status: 'invited',
+        sharePercent: participant.sharePercent
+    }));
+    if (invites.some(invite => isSameUser(invite.user, ride.user))) {
+        throw new BadRequestError('You are already part of this ride');
+    }
+
+    // Re-inviting someone who declined resets their response
+    const merged = existing.filter(participant =>
+        !invites.some(invite => isSameUser(invite.user, participant.user)));
+    merged.push(...invites);
+
+    if (merged.length > SPLIT_CONFIG.maxParticipants) {
+        throw new BadRequestError(`A fare can be split between at most ${SPLIT_CONFIG.maxParticipants} riders`);
+    }
+
+    if (splitMode === 'custom') {
+        const others = merged.filter(participant => !isSameUser(participant.user, ride.user));
+        if (others.some(participant => typeof participant.sharePercent !== 'number' || participant.sharePercent <= 0)) {
+            throw new BadRequestError('Custom splits need a share percentage for every invited rider');
+        }
+        const othersTotal = others.reduce((sum, participant) => sum + participant.sharePercent, 0);
+        if (othersTotal >= 100) {
+            throw new BadRequestError('Invited riders\' shares must leave part of the fare for the requester');
+        }
+        // The requester covers whatever the others don't
+        merged[0].sharePercent = roundMoney(100 - othersTotal);
+    } else {
+        merged.forEach(participant => {
+            participant.sharePercent = undefined;
+        });
+    }
+
+    // Only applied if nobody changed the split since it was read, e.g. an invitee responding meanwhile
+    const version = (ride.split && ride.split.version) || 0;
+    const participantsUnchanged = existing === (ride.split && ride.split.participants) &&
+        merged.length === existing.length + invites.length &&
+        splitMode === 'even' && ride.split.mode === 'even';
+    const update = participantsUnchanged
+        ? { $push: { 'split.participants': { $each: invites } } }
+        : {
+            $set: {
+                'split.mode': splitMode,
+                'split.participants': merged.map(participant => participant.toObject ? participant.toObject() : participant)
+            }
+        };
+    update.$inc = { 'split.version': 1 };
+
+    const result = await rideModel.updateOne({
+        _id: ride._id,
+        status: { $in: SPLITTABLE_STATUSES },
+        'split.version': version ? version : { $exists: false }
+    }, update);
+    if (result.matchedCount === 0) {
+        throw new ConflictError('The ride or its split changed meanwhile, please try again');
+    }
+    ride.split = { mode: splitMode, participants: merged, version: version + 1 };
+
+    const io = getIO();
+    invites.forEach(invite => {
+        io.to(`User-${invite.user}`).emit('ride:split:invite', {
+            rideId: ride._id,
+            from: ride.user,
+            pickup: ride.pickup.address,
+            destination: ride.destination.address,
+            fare: ride.fare,
+            mode: splitMode,
+            sharePercent: invite.sharePercent
+        });
+    });
+    emitSplitUpdate(ride);
+
+    return ride;
+};
+
+/**
+ * Accept or decline an invitation to split a ride's fare.
+ * @param {Object} params
+ * @param {string} params.rideId - Ride id
+ * @param {string} params.userId - Invited rider
+ * @param {boolean} params.accept - Whether the rider accepts their share
+ */
+const respondToSplit = async ({ rideId, userId, accept }) => {
+    const ride = await rideModel.findById(rideId);
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+
+    const participant = findParticipant(ride, userId);
+    if (!participant || isSameUser(participant.user, ride.user)) {
+        throw new ForbiddenError('You have not been invited to split this ride');
+    }
+    if (!SPLITTABLE_STATUSES.includes(ride.status)) {
+        throw new BadRequestError(`Cannot respond to a split on a ${ride.status} ride`);
+    }
+
+    const status = accept ? 'accepted' : 'declined';
+    const respondedAt = new Date();
+    const result = await rideModel.updateOne(
+        { _id: ride._id, status: { $in: SPLITTABLE_STATUSES }, 'split.participants.user': participant.user },
+        {
+            $set: { 'split.participants.$.status': status, 'split.participants.$.respondedAt': respondedAt },
+            $inc: { 'split.version': 1 }
+        }
+    );
+    if (result.matchedCount === 0) {
+        throw new BadRequestError('This split can no longer be changed');
+    }
+    participant.status = status;
+    participant.respondedAt = respondedAt;
+
+    emitSplitUpdate(ride);
+    return ride;
+};
+
+/**
+ * Share of the fare and tip for each accepted participant. Shares of riders who did not
+ * accept fall back to the requester, who also absorbs any rounding remainder.
+ * @param {Object} ride - Completed ride with a split
+ * @returns {Array<Object>} Participants with amount and tip set
+ */
+const allocateSplit = (ride) => {
+    const { mode, participants } = ride.split;
+    const fare = ride.fare.amount;
+    const tip = ride.tip || 0;
+    const accepted = participants.filter(participant => participant.status === 'accepted');
+
+    const weights = accepted.map(participant => {
+        if (mode !== 'custom') {
+            return 1 / accepted.length;
+        }
+        if (isSameUser(participant.user, ride.user)) {
+            const unclaimed = participants
+                .filter(other => other.status !== 'accepted')
+                .reduce((sum, other) => sum + (other.sharePercent || 0), 0);
+            return (participant.sharePercent + unclaimed) / 100;
+        }
+        return participant.sharePercent / 100;
+    });
+
+    const allocations = accepted.map((participant, index) => ({
+        user: participant.user,
+        amount: roundMoney(fare * weights[index]),
+        tip: roundMoney(tip * weights[index])
+    }));
+
+    const requester = allocations.find(allocation => isSameUser(allocation.user, ride.user));
+    requester.amount = roundMoney(requester.amount + fare - allocations.reduce((sum, a) => sum + a.amount, 0));
+    requester.tip = roundMoney(requester.tip + tip - allocations.reduce((sum, a) => sum + a.tip, 0));
+
+    participants.forEach(participant => {
+        const allocation = allocations.find(a => isSameUser(a.user, participant.user));
+        participant.amount = allocation ? allocation.amount : 0;
+        participant.tip = allocation ? allocation.tip : 0;
+    });
+    return participants;
+};
+
+// A rider's part of a ride: their split share if the fare was split, otherwise the whole fare
+const getRiderShare = (ride, userId) => {
+    const participant = findParticipant(ride, userId);
+    if (participant) {
+        return { amount: participant.amount, tip: participant.tip, status: participant.status };
+    }
+    return { amount: ride.fare.amount, tip: ride.tip || 0, status: 'owner' };
+};
+
+// Allocate the final fare across participants once the ride completes
+rideEvents.on('transition', async ({ ride, to }) => {
+    if (to !== RIDE_STATUS.COMPLETED || !ride.split || ride.split.participants.length < 2) {
+        return;
+    }
+
+    try {
+        const participants = allocateSplit(ride);
+        await rideModel.updateOne({ _id: ride._id }, { 'split.participants': participants });
+
+        const io = getIO();
+        participants.filter(participant => participant.status === 'accepted').forEach(participant => {
+            io.to(`User-${participant.user}`).emit('ride:split:charged', {
+                rideId: ride._id,
+                amount: participant.amount,
+                tip: participant.tip,
+                currency: ride.fare.currency
+            });
+        });
+    } catch (error) {
+        console.error('Error allocating split fare for ride:', ride._id.toString(), error);
+    }
+});
+
+module.exports = {
+    SPLIT_CONFIG,
+    inviteToSplit,
+    respondToSplit,
+    allocateSplit,
+    getRiderShare
+};
@@ -0,0 +1,341 @@
+const supportTicketModel = require('../models/supportTicket.model');
+const rideModel = require('../models/ride.model');
+const rideEventModel = require('../models/rideEvent.model');
+const userModel = require('../models/user.model');
+const captainModel = require('../models/captain.model');
+const { recordRideEvent } = require('./rideEvent.service');
+const { RIDE_STATUS } = require('./rideState.service');
+const splitService = require('./split.service');
+const { sendEmail } = require('../utils/email');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { getIO } = require('../socket');
+
+const TICKET_STATUS = {
+    OPEN: 'open',
+    IN_PROGRESS: 'in-progress',
+    RESOLVED: 'resolved',
+    CLOSED: 'closed'
+};
+
+const TICKET_CATEGORIES = ['overcharge', 'route', 'safety', 'behaviour'];
+
+const isSameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+const isOpener = (ticket, requester) =>
+    ticket.openedBy.type === requester.type && isSameId(ticket.openedBy.id, requester.id);
+
+// Riders and captains only see the tickets they opened, and never agents' internal notes
+const toRequesterView = (ticket, requester) => {
+    const view = ticket.toObject();
+    if (requester.type !== 'Admin') {
+        view.messages = view.messages.filter(message => !message.internal);
+    }
+    return view;
+};
+
+const findTicketFor = async (ticketId, requester) => {
+    const ticket = await supportTicketModel.findById(ticketId);
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found');
+    }
+    if (requester.type !== 'Admin' && !isOpener(ticket, requester)) {
+        throw new ForbiddenError('You do not have access to this ticket');
+    }
+    return ticket;
+};
+
+// Status update to the ride's rider and captain; only the person who opened the ticket gets the details and an email
+const notifyParties = async (ticket, message) => {
+    const io = getIO();
+    const payload = {
+        ticketId: ticket._id,
+        rideId: ticket.ride,
+        category: ticket.category,
+        status: ticket.status
+    };
+    const parties = [{ type: 'User', id: ticket.user }];
+    if (ticket.captain) {
+        parties.push({ type: 'Captain', id: ticket.captain });
+    }
+    parties.forEach(party => {
+        io.to(`${party.type}-${party.id}`).emit('support:ticket:updated',
+            isOpener(ticket, party) ? { ...payload, message } : payload);
+    });
+
+    try {
+        const model = ticket.openedBy.type === 'Captain' ? captainModel : userModel;
+        const opener = await model.findById(ticket.openedBy.id).select('email');
+        if (opener && opener.email) {
+            await sendEmail({
+                email: opener.email,
+                subject: `Support ticket ${ticket._id.toString().slice(-8).toUpperCase()}: ${ticket.status}`,
+                message
+            });
+        }
+    } catch (error) {
+        console.error('Error emailing support ticket update:', ticket._id.toString(), error.message);
+    }
+};
+
+/**
+ * Open a ticket against a ride. The ride's timeline and route are copied onto the ticket.
+ * @param {Object} params
+ * @param {string} params.rideId - Ride the ticket is about
+ * @param {Object} params.requester - { type: 'User'|'Captain', id }
+ * @param {string} params.category - overcharge, route, safety or behaviour
+ * @param {string} params.description - What went wrong
+ */
+const openTicket = async ({ rideId, requester, category, description }) => {
+    const ride = await rideModel.findById(rideId);
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+
+    const isRider = requester.type === 'User' && isSameId(ride.user, requester.id);
+    const isCaptain = requester.type === 'Captain' && isSameId(ride.captain, requester.id);
+    if (!isRider && !isCaptain) {
+        throw new ForbiddenError('You can only open tickets for your own rides');
+    }
+
+    const timeline = await rideEventModel.find({ ride: ride._id }).sort('createdAt').lean();
+
+    const ticket = await supportTicketModel.create({
+        ride: ride._id,
+        openedBy: requester,
+        user: ride.user,
+        captain: ride.captain,
+        category,
+        priority: category === 'safety' ? 'high' : 'normal',
+        description,
+        snapshot: {
+            status: ride.status,
+            fare: ride.fare,
+            surgeMultiplier: ride.surgeMultiplier,
+            pricing: ride.pricing,
+            route: {
+                pickup: ride.pickup,
+                destination: ride.destination,
+                stops: ride.stops,
+                legs: ride.legs,
+                distance: ride.distance,
+                duration: ride.duration,
+                trackedDistance: ride.trackedDistance,
+                startedAt: ride.actualArrivalTime,
+                endedAt: ride.actualEndTime
+            },
+            timeline
+        }
+    });
+
+    await notifyParties(ticket, `A ${category} ticket has been opened for your ride.`);
+    return ticket;
+};
+
+/**
+ * Tickets visible to the requester. Agents see every ticket and can filter.
+ * @param {Object} requester - { type, id }
+ * @param {Object} [filters] - { status, category, rideId } (agents only for status/category)
+ */
+const listTickets = async (requester, { status, category, rideId } = {}) => {
+    const query = requester.type === 'Admin'
+        ? {}
+        : { 'openedBy.type': requester.type, 'openedBy.id': requester.id };
+    if (status) {
+        query.status = status;
+    }
+    if (category) {
+        query.category = category;
+    }
+    if (rideId) {
+        query.ride = rideId;
+    }
+
+    return supportTicketModel.find(query)
+        .select('-snapshot.timeline -messages')
+        // Agents work oldest first with 'high' priority ahead of 'normal'
+        .sort(requester.type === 'Admin' ? { priority: 1, createdAt: 1 } : { createdAt: -1 });
+};
+
+const getTicket = async (ticketId, requester) => {
+    const ticket = await findTicketFor(ticketId, requester);
+    return toRequesterView(ticket, requester);
+};
+
+/**
+ * Add a message to a ticket. An agent's first public reply moves the ticket to in-progress.
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket id
+ * @param {Object} params.requester - { type, id }
+ * @param {string} params.text - Message
+ * @param {boolean} [params.internal] - Agent-only note
+ */
+const addMessage = async ({ ticketId, requester, text, internal = false }) => {
+    const ticket = await findTicketFor(ticketId, requester);
+    if (ticket.status === TICKET_STATUS.CLOSED) {
+        throw new BadRequestError('This ticket is closed');
+    }
+    if (internal && requester.type !== 'Admin') {
+        throw new ForbiddenError('Only agents can add internal notes');
+    }
+
+    ticket.messages.push({ author: requester, text, internal });
+    const isAgentReply = requester.type === 'Admin' && !internal;
+    if (isAgentReply && ticket.status === TICKET_STATUS.OPEN) {
+        ticket.status = TICKET_STATUS.IN_PROGRESS;
+    }
+    await ticket.save();
+
+    if (isAgentReply) {
+        await notifyParties(ticket, `Support replied to your ticket: ${text}`);
+    }
+    return toRequesterView(ticket, requester);
+};
+
+/**
+ * Change a ticket's status. Agents may set any status; the opener can only close it.
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket id
+ * @param {Object} params.requester - { type, id }
+ * @param {string} params.status - New status
+ */
+const updateStatus = async ({ ticketId, requester, status }) => {
+    const ticket = await findTicketFor(ticketId, requester);
+    if (requester.type !== 'Admin' && status !== TICKET_STATUS.CLOSED) {
+        throw new ForbiddenError('You can only close your own ticket');
+    }
+    if (ticket.status === status) {
+        return toRequesterView(ticket, requester);
+    }
+
+    ticket.status = status;
+    if (status === TICKET_STATUS.RESOLVED) {
+        ticket.resolvedAt = new Date();
+    }
+    await ticket.save();
+
+    await notifyParties(ticket, `Your support ticket is now ${status}.`);
+    return toRequesterView(ticket, requester);
+};
+
+/**
+ * Refund part of a ride's fare to the rider.
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket id
+ * @param {string} params.adminId - Agent issuing the refund
+ * @param {number} params.amount - Amount to refund
+ * @param {string} [params.note] - Reason shown to the rider
+ */
+const issueRefund = async ({ ticketId, adminId, amount, note }) => {
+    const ticket = await findTicketFor(ticketId, { type: 'Admin', id: adminId });
+    if (amount <= 0) {
+        throw new BadRequestError('Refund must be more than 0');
+    }
+
+    // One conditional update, so concurrent refunds can never add up to more than the fare
+    const ride = await rideModel.findOneAndUpdate(
+        {
+            _id: ticket.ride,
+            status: RIDE_STATUS.COMPLETED,
+            $expr: { $gte: [{ $subtract: ['$fare.amount', { $ifNull: ['$refundedAmount', 0] }] }, amount] }
+        },
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+    );
+    if (!ride) {
+        const current = await rideModel.findById(ticket.ride).select('status fare refundedAmount');
+        if (!current) {
+            throw new NotFoundError('Ride not found');
+        }
+        if (current.status !== RIDE_STATUS.COMPLETED) {
+            throw new BadRequestError('Only completed rides can be refunded');
+        }
+        throw new BadRequestError(`Refund must be between 0 and ${current.fare.amount - (current.refundedAmount || 0)}`);
+    }
+
+    ticket.adjustments.push({ type: 'refund', amount, previousFare: ride.fare.amount, note, by: adminId });
+    if (ticket.status === TICKET_STATUS.OPEN) {
+        ticket.status = TICKET_STATUS.IN_PROGRESS;
+    }
+    await ticket.save();
+
+    await recordRideEvent({
+        ride,
+        type: 'fare-changed',
+        actor: { type: 'Admin', id: adminId },
+        data: { reason: 'support-refund', ticket: ticket._id, refund: amount, totalRefunded: ride.refundedAmount, note }
+    });
+    await notifyParties(ticket, `A refund of ${ride.fare.currency} ${amount} has been issued for your ride.`);
+
+    return toRequesterView(ticket, { type: 'Admin' });
+};
+
+/**
+ * Correct a ride's fare. Split fares are re-allocated across participants.
+ * @param {Object} params
+ * @param {string} params.ticketId - Ticket id
+ * @param {string} params.adminId - Agent making the change
+ * @param {number} params.fare - Corrected fare
+ * @param {string} [params.note] - Reason shown to the rider
+ */
+const adjustFare = async ({ ticketId, adminId, fare, note }) => {
+    const ticket = await findTicketFor(ticketId, { type: 'Admin', id: adminId });
+    const ride = await rideModel.findById(ticket.ride);
+    if (!ride) {
+        throw new NotFoundError('Ride not found');
+    }
+    if (ride.status !== RIDE_STATUS.COMPLETED) {
+        throw new BadRequestError('Only completed rides can have their fare adjusted');
+    }
+    if (fare < 0 || fare < (ride.refundedAmount || 0)) {
+        throw new BadRequestError('Adjusted fare cannot be below the amount already refunded');
+    }
+
+    const previousFare = ride.fare.amount;
+    ride.fare.amount = fare;
+    const updates = { 'fare.amount': fare };
+    if (ride.split && ride.split.participants.length > 1 && ride.split.participants.some(p => p.amount !== undefined)) {
+        updates['split.participants'] = splitService.allocateSplit(ride).map(participant => participant.toObject());
+    }
+
+    // Conditional on the fare and refunds this was computed from, so a concurrent refund or adjustment is not lost
+    const result = await rideModel.updateOne(
+        {
+            _id: ride._id,
+            status: RIDE_STATUS.COMPLETED,
+            'fare.amount': previousFare,
+            $expr: { $lte: [{ $ifNull: ['$refundedAmount', 0] }, fare] }
+        },
+        { $set: updates }
+    );
+    if (result.matchedCount === 0) {
+        throw new ConflictError('The ride\'s fare or refunds changed, please try again');
+    }
+
+    ticket.adjustments.push({ type: 'fare-adjustment', amount: fare, previousFare, note, by: adminId });
+    if (ticket.status === TICKET_STATUS.OPEN) {
+        ticket.status = TICKET_STATUS.IN_PROGRESS;
+    }
+    await ticket.save();
+
+    await recordRideEvent({
+        ride,
+        type: 'fare-changed',
+        actor: { type: 'Admin', id: adminId },
+        data: { from: previousFare, to: fare, reason: 'support-adjustment', ticket: ticket._id, note }
+    });
+    await notifyParties(ticket, `The fare for your ride was adjusted from ${previousFare} to ${fare}.`);
+
+    return toRequesterView(ticket, { type: 'Admin' });
+};
+
+module.exports = {
+    TICKET_STATUS,
+    TICKET_CATEGORIES,
+    openTicket,
+    listTickets,
+    getTicket,
+    addMessage,
+    updateStatus,
+    issueRefund,
+    adjustFare
+};
@@ -0,0 +1,176 @@
+const surgeZoneModel = require('../models/surgeZone.model');
+const rideModel = require('../models/ride.model');
+const captainModel = require('../models/captain.model');
+const { RIDE_STATUS } = require('./rideState.service');
+const { getCaptainPosition } = require('./maps.service');
+const { numberFromEnv } = require('../utils/helpers');
+
+const SURGE_CONFIG = {
+    cellSizeDeg: parseFloat(process.env.SURGE_CELL_SIZE_DEG) || 0.02, // ~2km grid cells
+    demandWindowMinutes: parseInt(process.env.SURGE_DEMAND_WINDOW_MINUTES, 10) || 10,
+    sensitivity: numberFromEnv('SURGE_SENSITIVITY', 0.25), // Added multiplier per unit of excess demand ratio
+    smoothing: numberFromEnv('SURGE_SMOOTHING', 0.3), // Weight of the newest reading (0-1)
+    maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 2.5,
+    captainActiveWindowMs: 5 * 60 * 1000
+};
+
+const roundMultiplier = (value) => Math.round(value * 100) / 100;
+
+// Grid cell containing a point
+const getCellId = (lng, lat) => {
+    const row = Math.floor(lat / SURGE_CONFIG.cellSizeDeg);
+    const col = Math.floor(lng / SURGE_CONFIG.cellSizeDeg);
+    return `${row}:${col}`;
+};
+
+const getCellCenter = (cell) => {
+    const [row, col] = cell.split(':').map(Number);
+    return [
+        (col + 0.5) * SURGE_CONFIG.cellSizeDeg,
+        (row + 0.5) * SURGE_CONFIG.cellSizeDeg
+    ];
+};
+
+// Instantaneous multiplier from open requests vs. available captains in a cell
+const computeRawMultiplier = (openRequests, availableCaptains) => {
+    const ratio = openRequests / Math.max(availableCaptains, 1);
+    const multiplier = 1 + SURGE_CONFIG.sensitivity * Math.max(0, ratio - 1);
+    return Math.min(multiplier, SURGE_CONFIG.maxMultiplier);
+};
+
+const countByCell = (points) => {
+    const counts = new Map();
+    points.forEach(([lng, lat]) => {
+        const cell = getCellId(lng, lat);
+        counts.set(cell, (counts.get(cell) || 0) + 1);
+    });
+    return counts;
+};
+
+/**
+ * Recompute surge for every cell with live demand, supply or a decaying surge.
+ * New readings are blended into the previous multiplier so prices move gradually.
+ * @returns {Promise<number>} Number of cells updated
+ */
+const recomputeSurge = async () => {
+    const [openRides, availableCaptains, existingZones] = await Promise.all([
+        rideModel.find({
+            status: RIDE_STATUS.REQUESTED,
+            createdAt: { $gte: new Date(Date.now() - SURGE_CONFIG.demandWindowMinutes * 60000) }
+        }).select('pickup.coordinates'),
+        captainModel.find({
+            isAvailable: true,
+            lastSeen: { $gte: new Date(Date.now() - SURGE_CONFIG.captainActiveWindowMs) }
+        }).select('location lastLocationUpdate'),
+        surgeZoneModel.find({})
+    ]);
+
+    const demand = countByCell(openRides.map(ride => ride.pickup.coordinates.coordinates));
+    // Captains that never reported a position, or only a stale one, don't count as supply anywhere
+    const supply = countByCell(availableCaptains.map(getCaptainPosition).filter(Boolean));
+    const previous = new Map(existingZones.map(zone => [zone.cell, zone.multiplier]));
+    const cells = new Set([...demand.keys(), ...supply.keys(), ...previous.keys()]);
+
+    const operations = [];
+    const staleCells = [];
+    cells.forEach(cell => {
+        const openRequests = demand.get(cell) || 0;
+        const captains = supply.get(cell) || 0;
+        const raw = computeRawMultiplier(openRequests, captains);
+        const prior = previous.get(cell) || 1;
+        const smoothed = roundMultiplier(Math.min(
+            prior + SURGE_CONFIG.smoothing * (raw - prior),
+            SURGE_CONFIG.maxMultiplier
+        ));
+
+        // Drop quiet cells once their surge has decayed back to normal
+        if (openRequests === 0 && captains === 0 && smoothed <= 1.01) {
+            staleCells.push(cell);
+            return;
+        }
+
+        operations.push({
+            updateOne: {
+                filter: { cell },
+                update: {
+                    $set: {
+                        center: { type: 'Point', coordinates: getCellCenter(cell) },
+                        multiplier: Math.max(smoothed, 1),
+                        rawMultiplier: roundMultiplier(raw),
+                        openRequests,
+                        availableCaptains: captains
+                    }
+                },
+                upsert: true
+            }
+        });
+    });
+
+    if (operations.length > 0) {
+        await surgeZoneModel.bulkWrite(operations);
+    }
+    if (staleCells.length > 0) {
+        await surgeZoneModel.deleteMany({ cell: { $in: staleCells } });
+    }
+
+    return operations.length;
+};
+
+/**
+ * Current surge multiplier at a point.
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {Promise<{multiplier: number, cell: string}>}
+ */
+const getSurgeMultiplier = async (coordinates) => {
+    const [lng, lat] = coordinates;
+    const cell = getCellId(lng, lat);
+    try {
+        const zone = await surgeZoneModel.findOne({ cell }).select('multiplier');
+        return { multiplier: zone ? zone.multiplier : 1, cell };
+    } catch (error) {
+        console.error('Error reading surge multiplier:', error);
+        return { multiplier: 1, cell };
+    }
+};
+
+// Surging cells for the captain heat map, optionally limited to a radius around a point
+const getHeatMap = async ({ lat, lng, radiusKm } = {}) => {
+    const query = { multiplier: { $gt: 1 } };
+    if (lat !== undefined && lng !== undefined) {
+        query.center = {
+            $geoWithin: {
+                $centerSphere: [[lng, lat], (radiusKm || 10) / 6371]
+            }
+        };
+    }
+
+    const zones = await surgeZoneModel.find(query).sort('-multiplier');
+    const halfCell = SURGE_CONFIG.cellSizeDeg / 2;
+
+    return zones.map(zone => {
+        const [centerLng, centerLat] = zone.center.coordinates;
+        return {
+            cell: zone.cell,
+            center: { lat: centerLat, lng: centerLng },
+            bounds: {
+                south: centerLat - halfCell,
+                west: centerLng - halfCell,
+                north: centerLat + halfCell,
+                east: centerLng + halfCell
+            },
+            multiplier: zone.multiplier,
+            openRequests: zone.openRequests,
+            availableCaptains: zone.availableCaptains,
+            updatedAt: zone.updatedAt
+        };
+    });
+};
+
+module.exports = {
+    SURGE_CONFIG,
+    getCellId,
+    computeRawMultiplier,
+    recomputeSurge,
+    getSurgeMultiplier,
+    getHeatMap
+};
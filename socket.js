@@ -9,6 +9,12 @@ const rideModel = require('./models/ride.model');
 let io;
 
 const initializeSocket = (server) => {
+  // Required here rather than at the top: the ride services themselves require this module for getIO
+  const rideService = require('./services/ride.service');
+  const rideStateService = require('./services/rideState.service');
+  const rideEventService = require('./services/rideEvent.service');
+  const dispatchService = require('./services/dispatch.service');
+
   io = new Server(server, {
     cors: {
       origin: process.env.FRONTEND_URL,
@@ -210,138 +216,85 @@ const initializeSocket = (server) => {
           throw new Error('Invalid ride data');
         }
 
-        const ride = await rideModel.findById(rideId)
-          .populate('user', 'fullname phone')
-          .populate('captain', 'fullname phone vehicle');
-
-        if (!ride) {
-          throw new Error('Ride not found');
-        }
-
-        // Validate status transition
-        const validTransitions = {
-          'requested': ['accepted', 'cancelled'],
-          'accepted': ['on-the-way', 'cancelled'],
-          'on-the-way': ['in-progress', 'cancelled'],
-          'in-progress': ['completed', 'cancelled'],
-          'completed': [],
-          'cancelled': []
-        };
+        await rideStateService.transition({
+          rideId,
+          to: status,
+          actor: { type: socket.user.type, id: socket.user.id },
+          data: data || {}
+        });
+      } catch (error) {
+        console.error('Error handling ride status update:', error);
+        socket.emit('error', { message: error.message });
+      }
+    });
 
-        if (!validTransitions[ride.status].includes(status)) {
-          throw new Error(`Invalid status transition from ${ride.status} to ${status}`);
+    // Handle captain reaching an intermediate stop
+    socket.on('ride:stop:reached', async ({ rideId, stopIndex }) => {
+      try {
+        if (socket.user.type !== 'Captain') {
+          throw new Error('Only captain can mark stops as reached');
         }
-
-        // Update ride status
-        ride.status = status;
-        
-        // Handle specific status updates
-        switch (status) {
-          case 'accepted':
-            if (socket.user.type !== 'Captain') {
-              throw new Error('Only captain can accept rides');
-            }
-            ride.captain = socket.user.id;
-            await captainModel.findByIdAndUpdate(socket.user.id, {
-              isAvailable: false,
-              lastSeen: new Date()
-            });
-            break;
-
-          case 'on-the-way':
-            if (socket.user.type !== 'Captain') {
-              throw new Error('Only captain can update ride to on-the-way');
-            }
-            ride.estimatedArrivalTime = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes from now
-            break;
-
-          case 'in-progress':
-            if (socket.user.type !== 'Captain') {
-              throw new Error('Only captain can start rides');
-            }
-            if (data.otp && ride.otp !== data.otp) {
-              throw new Error('Invalid OTP');
-            }
-            ride.actualArrivalTime = new Date();
-            break;
-
-          case 'completed':
-            if (socket.user.type !== 'Captain') {
-              throw new Error('Only captain can complete rides');
-            }
-            ride.actualEndTime = new Date();
-            await captainModel.findByIdAndUpdate(ride.captain, {
-              isAvailable: true,
-              lastSeen: new Date()
-            });
-            break;
-
-          case 'cancelled':
-            ride.cancellationReason = data.reason || 'Cancelled by user';
-            if (ride.captain) {
-              await captainModel.findByIdAndUpdate(ride.captain, {
-                isAvailable: true,
-                lastSeen: new Date()
-              });
-            }
-            break;
+        if (!rideId || !Number.isInteger(stopIndex)) {
+          throw new Error('Invalid stop data');
         }
 
-        await ride.save();
-
-        // Notify all parties
-        io.to(`User-${ride.user._id}`).emit('ride:status:updated', {
-          status,
-          data: ride
+        const ride = await rideService.reachStop({
+          rideId,
+          captainId: socket.user.id,
+          stopIndex
         });
 
-        if (ride.captain) {
-          io.to(`Captain-${ride.captain._id}`).emit('ride:status:updated', {
-            status,
-            data: { rideId: ride._id, ...data }
-          });
-        }
-
+        const payload = {
+          rideId: ride._id,
+          stopIndex,
+          stop: ride.stops[stopIndex],
+          progress: rideService.buildLegProgress(ride)
+        };
+        io.to(`User-${ride.user}`).emit('ride:stop:reached', payload);
+        io.to(`Captain-${ride.captain}`).emit('ride:stop:reached', payload);
       } catch (error) {
-        console.error('Error handling ride status update:', error);
+        console.error('Error handling stop update:', error);
         socket.emit('error', { message: error.message });
       }
     });
 
-    // Handle new ride request
+    // Handle new ride request: rides are dispatched to nearby captains when created,
+    // this only restarts dispatch for a rider's still-unassigned request
     socket.on('new:ride', async (rideData) => {
       try {
-        if (!rideData || !rideData.userId) {
+        if (!rideData || !rideData.rideId) {
           throw new Error('Invalid ride data');
         }
 
-        // Find all active captains
-        const captains = await captainModel.find({
-          lastSeen: { $gte: new Date(Date.now() - 5 * 60 * 1000) }
+        const ride = await rideModel.findOne({
+          _id: rideData.rideId,
+          user: socket.user.id,
+          status: 'requested'
         });
-
-        console.log(`Found ${captains.length} active captains to notify`);
-
-        if (captains.length === 0) {
-          io.to(`User-${rideData.userId}`).emit('error', {
-            message: 'No drivers are currently available. Please try again later.'
-          });
-          return;
+        if (!ride) {
+          throw new Error('Ride not found or already assigned');
         }
 
-        // Notify all active captains
-        captains.forEach(captain => {
-          if (captain.socketId) {
-            console.log(`Notifying captain ${captain._id} about new ride request`);
-            io.to(captain.socketId).emit('new-ride', rideData);
-          }
-        });
+        await dispatchService.startDispatch(ride);
       } catch (error) {
         console.error('Error handling new ride request:', error);
         socket.emit('error', { message: error.message || 'Failed to notify drivers' });
       }
     });
 
+    // Handle captain declining a ride offer
+    socket.on('ride:offer:decline', async ({ rideId }) => {
+      try {
+        if (socket.user.type !== 'Captain' || !rideId) {
+          throw new Error('Invalid offer response');
+        }
+        await dispatchService.declineOffer(rideId, socket.user.id);
+      } catch (error) {
+        console.error('Error declining ride offer:', error);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
     // Handle location updates
     socket.on('update:location', async ({ lat, lng }) => {
       if (socket.user.type === 'Captain') {
@@ -367,6 +320,11 @@ const initializeSocket = (server) => {
               lng
             });
           });
+
+          for (const ride of activeRides) {
+            await rideService.trackRideDistance(ride, lat, lng);
+            await rideEventService.checkLocationMilestones(ride, lat, lng);
+          }
         } catch (error) {
           console.error('Error updating captain location:', error);
           socket.emit('error', { message: 'Failed to update location' });
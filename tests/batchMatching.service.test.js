@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { solveAssignment } = require('../services/batchMatching.service');
+
+const totalCost = (cost, assignment) => assignment.reduce(
+    (sum, col, row) => (col === -1 ? sum : sum + cost[row][col]), 0
+);
+
+// Cheapest total over every way of giving each row a distinct column (rows <= cols)
+const bruteForceMinimum = (cost, row = 0, usedCols = new Set()) => {
+    if (row === cost.length) {
+        return 0;
+    }
+    let best = Infinity;
+    cost[row].forEach((value, col) => {
+        if (!usedCols.has(col)) {
+            usedCols.add(col);
+            best = Math.min(best, value + bruteForceMinimum(cost, row + 1, usedCols));
+            usedCols.delete(col);
+        }
+    });
+    return best;
+};
+
+describe('solveAssignment', () => {
+    it('returns an empty assignment for an empty matrix', () => {
+        assert.deepEqual(solveAssignment([]), []);
+    });
+
+    it('leaves every row unassigned when there are no columns', () => {
+        assert.deepEqual(solveAssignment([[], []]), [-1, -1]);
+    });
+
+    it('prefers the lowest total over the greedy choice', () => {
+        // Greedy would give row 0 column 0 (cost 1) and force row 1 onto column 1 (cost 100)
+        const cost = [
+            [1, 2],
+            [3, 100]
+        ];
+        assert.deepEqual(solveAssignment(cost), [1, 0]);
+    });
+
+    it('finds the minimum-cost assignment of a square matrix', () => {
+        const cost = [
+            [4, 1, 3, 9],
+            [2, 0, 5, 7],
+            [3, 2, 2, 8],
+            [6, 4, 3, 1]
+        ];
+        const assignment = solveAssignment(cost);
+        assert.equal(new Set(assignment).size, cost.length);
+        assert.equal(totalCost(cost, assignment), bruteForceMinimum(cost));
+    });
+
+    it('assigns every row when there are more columns than rows', () => {
+        const cost = [
+            [7, 3, 9, 2, 8],
+            [4, 6, 1, 5, 3]
+        ];
+        assert.deepEqual(solveAssignment(cost), [3, 2]);
+    });
+
+    it('leaves the costliest rows unassigned when there are more rows than columns', () => {
+        const cost = [
+            [5, 8],
+            [1, 9],
+            [6, 2]
+        ];
+        const assignment = solveAssignment(cost);
+        assert.deepEqual(assignment, [-1, 0, 1]);
+    });
+});
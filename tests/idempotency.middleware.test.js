@@ -0,0 +1,192 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const idempotencyKeyModel = require('../models/idempotencyKey.model');
+const { idempotent } = require('../middlewares/idempotency.middleware');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const createReq = ({ key, body = { vehicleType: 'car' } } = {}) => ({
+    method: 'POST',
+    baseUrl: '/rides',
+    route: { path: '/create' },
+    body,
+    query: {},
+    user: { _id: 'user-1' },
+    get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+// Just enough of an Express response to record what the middleware sends
+const createRes = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.body = undefined;
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+const run = async (req, res) => {
+    let nextCalls = 0;
+    await idempotent(req, res, () => {
+        nextCalls += 1;
+    });
+    return nextCalls;
+};
+
+describe('idempotent middleware', () => {
+    beforeEach(() => {
+        mock.method(idempotencyKeyModel, 'create', async (doc) => ({ _id: 'key-1', ...doc }));
+        mock.method(idempotencyKeyModel, 'findOne', async () => null);
+        mock.method(idempotencyKeyModel, 'updateOne', async () => ({ matchedCount: 1 }));
+        mock.method(idempotencyKeyModel, 'deleteOne', async () => ({ deletedCount: 1 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('passes requests without a key straight through', async () => {
+        const nextCalls = await run(createReq(), createRes());
+        assert.equal(nextCalls, 1);
+        assert.equal(idempotencyKeyModel.create.mock.callCount(), 0);
+    });
+
+    it('rejects keys longer than 255 characters', async () => {
+        const res = createRes();
+        const nextCalls = await run(createReq({ key: 'k'.repeat(256) }), res);
+        assert.equal(nextCalls, 0);
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.success, false);
+    });
+
+    it('locks a new key per user and route and stores the response', async () => {
+        const res = createRes();
+        const nextCalls = await run(createReq({ key: 'abc' }), res);
+        assert.equal(nextCalls, 1);
+
+        const [doc] = idempotencyKeyModel.create.mock.calls[0].arguments;
+        assert.equal(doc.key, 'abc');
+        assert.equal(doc.owner, 'user-1');
+        assert.equal(doc.route, 'POST /rides/create');
+
+        res.status(201).json({ success: true, data: { _id: 'ride-1' } });
+        const [filter, update] = idempotencyKeyModel.updateOne.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: 'key-1' });
+        assert.equal(update.status, 'completed');
+        assert.equal(update.responseStatus, 201);
+        assert.deepEqual(update.responseBody, { success: true, data: { _id: 'ride-1' } });
+    });
+
+    it('releases the key when the handler fails with a server error', async () => {
+        const res = createRes();
+        await run(createReq({ key: 'abc' }), res);
+        res.status(500).json({ success: false, message: 'Internal server error' });
+
+        assert.equal(idempotencyKeyModel.updateOne.mock.callCount(), 0);
+        assert.deepEqual(idempotencyKeyModel.deleteOne.mock.calls[0].arguments, [{ _id: 'key-1' }]);
+    });
+
+    it('releases the key when the response closes without JSON', async () => {
+        const res = createRes();
+        await run(createReq({ key: 'abc' }), res);
+        res.emit('close');
+
+        assert.deepEqual(idempotencyKeyModel.deleteOne.mock.calls[0].arguments, [{ _id: 'key-1' }]);
+    });
+
+    it('replays the stored response for a retry of the same request', async () => {
+        await run(createReq({ key: 'abc' }), createRes());
+        const [{ requestHash }] = idempotencyKeyModel.create.mock.calls[0].arguments;
+
+        idempotencyKeyModel.create.mock.mockImplementation(async () => {
+            throw duplicateKeyError();
+        });
+        idempotencyKeyModel.findOne.mock.mockImplementation(async () => ({
+            requestHash,
+            status: 'completed',
+            responseStatus: 201,
+            responseBody: { success: true, data: { _id: 'ride-1' } }
+        }));
+
+        const res = createRes();
+        const nextCalls = await run(createReq({ key: 'abc' }), res);
+        assert.equal(nextCalls, 0);
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.headers['Idempotent-Replayed'], 'true');
+        assert.deepEqual(res.body, { success: true, data: { _id: 'ride-1' } });
+    });
+
+    it('rejects a key reused with a different request body', async () => {
+        idempotencyKeyModel.create.mock.mockImplementation(async () => {
+            throw duplicateKeyError();
+        });
+        idempotencyKeyModel.findOne.mock.mockImplementation(async () => ({ requestHash: 'other', status: 'completed' }));
+
+        const res = createRes();
+        const nextCalls = await run(createReq({ key: 'abc' }), res);
+        assert.equal(nextCalls, 0);
+        assert.equal(res.statusCode, 422);
+    });
+
+    it('answers 409 while the first request is still processing', async () => {
+        await run(createReq({ key: 'abc' }), createRes());
+        const [{ requestHash }] = idempotencyKeyModel.create.mock.calls[0].arguments;
+
+        idempotencyKeyModel.create.mock.mockImplementation(async () => {
+            throw duplicateKeyError();
+        });
+        idempotencyKeyModel.findOne.mock.mockImplementation(async () => ({ requestHash, status: 'processing' }));
+
+        const res = createRes();
+        const nextCalls = await run(createReq({ key: 'abc' }), res);
+        assert.equal(nextCalls, 0);
+        assert.equal(res.statusCode, 409);
+    });
+
+    it('treats a key that expired between insert and lookup as new', async () => {
+        idempotencyKeyModel.create.mock.mockImplementation(async () => {
+            throw duplicateKeyError();
+        });
+
+        const nextCalls = await run(createReq({ key: 'abc' }), createRes());
+        assert.equal(nextCalls, 1);
+    });
+
+    it('answers 500 instead of rejecting when the lookup fails', async () => {
+        mock.method(console, 'error', () => {});
+        idempotencyKeyModel.create.mock.mockImplementation(async () => {
+            throw duplicateKeyError();
+        });
+        idempotencyKeyModel.findOne.mock.mockImplementation(async () => {
+            throw new Error('connection reset');
+        });
+
+        const res = createRes();
+        const nextCalls = await run(createReq({ key: 'abc' }), res);
+        assert.equal(nextCalls, 0);
+        assert.equal(res.statusCode, 500);
+        assert.equal(res.body.success, false);
+    });
+
+    it('lets the request through when the key store is unavailable', async () => {
+        mock.method(console, 'error', () => {});
+        idempotencyKeyModel.create.mock.mockImplementation(async () => {
+            throw new Error('connection reset');
+        });
+
+        const nextCalls = await run(createReq({ key: 'abc' }), createRes());
+        assert.equal(nextCalls, 1);
+    });
+});
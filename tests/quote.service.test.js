@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.QUOTE_SECRET = 'test-quote-secret';
+
+const rideModel = require('../models/ride.model');
+const quoteService = require('../services/quote.service');
+
+const location = (lng, lat) => ({ coordinates: { type: 'Point', coordinates: [lng, lat] } });
+
+const trip = {
+    userId: 'user-1',
+    pickup: location(77.5946, 12.9716),
+    destination: location(77.6408, 12.9784),
+    stops: []
+};
+
+const issueCarQuote = (overrides = {}) => quoteService.issueQuotes({
+    ...trip,
+    fares: { car: 250 },
+    pricing: { car: { ruleId: null, version: 0 } },
+    route: { distance: 6000, duration: 900 },
+    city: 'default',
+    surgeMultiplier: 1,
+    surgeCell: '648:3879',
+    ...overrides
+}).car.quoteId;
+
+describe('verifyQuote', () => {
+    beforeEach(() => {
+        mock.method(rideModel, 'exists', async () => null);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('returns the quoted fare for the same rider and trip', async () => {
+        const quote = await quoteService.verifyQuote(issueCarQuote(), { ...trip, vehicleType: 'car' });
+        assert.equal(quote.amount, 250);
+        assert.equal(quote.vehicleType, 'car');
+    });
+
+    it('accepts a pickup nudged by a few metres', async () => {
+        const nudged = { ...trip, pickup: location(77.5947, 12.9717), vehicleType: 'car' };
+        const quote = await quoteService.verifyQuote(issueCarQuote(), nudged);
+        assert.equal(quote.amount, 250);
+    });
+
+    it('rejects a quote signed with another secret', async () => {
+        const forged = jwt.sign({ type: 'FareQuote', user: 'user-1', vehicleType: 'car', amount: 1 }, 'other-secret');
+        await assert.rejects(
+            quoteService.verifyQuote(forged, { ...trip, vehicleType: 'car' }),
+            { statusCode: 400, message: 'Invalid fare quote' }
+        );
+    });
+
+    it('rejects an expired quote', async () => {
+        const expired = jwt.sign({ type: 'FareQuote', user: 'user-1', exp: Math.floor(Date.now() / 1000) - 10 }, 'test-quote-secret');
+        await assert.rejects(
+            quoteService.verifyQuote(expired, { ...trip, vehicleType: 'car' }),
+            { statusCode: 400, message: 'Fare quote has expired, please request a new fare' }
+        );
+    });
+
+    it('rejects a quote issued to another rider', async () => {
+        await assert.rejects(
+            quoteService.verifyQuote(issueCarQuote(), { ...trip, userId: 'user-2', vehicleType: 'car' }),
+            { statusCode: 400, message: 'Invalid fare quote' }
+        );
+    });
+
+    it('rejects a quote for another vehicle type', async () => {
+        await assert.rejects(
+            quoteService.verifyQuote(issueCarQuote(), { ...trip, vehicleType: 'auto' }),
+            { statusCode: 400, message: 'Fare quote is for car, not auto' }
+        );
+    });
+
+    it('rejects a quote for a different destination', async () => {
+        const elsewhere = { ...trip, destination: location(77.7, 13.0), vehicleType: 'car' };
+        await assert.rejects(
+            quoteService.verifyQuote(issueCarQuote(), elsewhere),
+            { statusCode: 400, message: 'Fare quote does not match the requested trip' }
+        );
+    });
+
+    it('rejects a quote when the stops differ', async () => {
+        const withStop = { ...trip, stops: [location(77.61, 12.975)], vehicleType: 'car' };
+        await assert.rejects(
+            quoteService.verifyQuote(issueCarQuote(), withStop),
+            { statusCode: 400, message: 'Fare quote does not match the requested trip' }
+        );
+    });
+
+    it('rejects a quote that already booked a ride', async () => {
+        rideModel.exists.mock.mockImplementation(async () => ({ _id: 'ride-1' }));
+        const quoteId = issueCarQuote();
+        await assert.rejects(
+            quoteService.verifyQuote(quoteId, { ...trip, vehicleType: 'car' }),
+            { statusCode: 409, message: 'Fare quote has already been used' }
+        );
+        assert.deepEqual(rideModel.exists.mock.calls[0].arguments, [{ quoteId }]);
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const rideModel = require('../models/ride.model');
+const { RIDE_STATUS, rideEvents, canTransition, transition } = require('../services/rideState.service');
+
+const rider = { type: 'User', id: 'user-1' };
+const captain = { type: 'Captain', id: 'captain-1' };
+
+const stubRide = (fields) => {
+    const ride = { _id: 'ride-1', user: 'user-1', captain: null, otp: '1234', ...fields };
+    mock.method(rideModel, 'findById', async () => ride);
+    mock.method(rideModel, 'findOneAndUpdate', async (filter, update) => ({ ...ride, ...update.$set }));
+    return ride;
+};
+
+describe('canTransition', () => {
+    it('follows the ride lifecycle', () => {
+        assert.equal(canTransition(RIDE_STATUS.REQUESTED, RIDE_STATUS.ACCEPTED), true);
+        assert.equal(canTransition(RIDE_STATUS.ACCEPTED, RIDE_STATUS.IN_PROGRESS), true);
+        assert.equal(canTransition(RIDE_STATUS.REQUESTED, RIDE_STATUS.COMPLETED), false);
+        assert.equal(canTransition(RIDE_STATUS.COMPLETED, RIDE_STATUS.CANCELLED), false);
+    });
+});
+
+describe('transition', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('rejects an unknown target status', async () => {
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: 'teleported', actor: rider }),
+            { statusCode: 400, message: 'Unknown ride status: teleported' }
+        );
+    });
+
+    it('rejects a missing ride', async () => {
+        mock.method(rideModel, 'findById', async () => null);
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: RIDE_STATUS.CANCELLED, actor: rider }),
+            { statusCode: 404, message: 'Ride not found' }
+        );
+    });
+
+    it('rejects a transition the lifecycle does not allow', async () => {
+        stubRide({ status: RIDE_STATUS.COMPLETED, captain: 'captain-1' });
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: RIDE_STATUS.IN_PROGRESS, actor: captain, data: { otp: '1234' } }),
+            { statusCode: 400, message: 'Invalid status transition from completed to in-progress' }
+        );
+        assert.equal(rideModel.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('rejects an actor the rule does not allow', async () => {
+        stubRide({ status: RIDE_STATUS.IN_PROGRESS, captain: 'captain-1' });
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: RIDE_STATUS.COMPLETED, actor: rider }),
+            { statusCode: 403, message: 'User cannot move a ride to completed' }
+        );
+    });
+
+    it('only lets the assigned captain complete a ride', async () => {
+        stubRide({ status: RIDE_STATUS.IN_PROGRESS, captain: 'captain-2' });
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: RIDE_STATUS.COMPLETED, actor: captain }),
+            { statusCode: 403, message: 'Only the assigned captain can update this ride' }
+        );
+        assert.equal(rideModel.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('requires the ride OTP to start a ride', async () => {
+        stubRide({ status: RIDE_STATUS.ACCEPTED, captain: 'captain-1' });
+        const attempts = [];
+        const onAttempt = (attempt) => attempts.push(attempt.success);
+        rideEvents.on('otp-attempt', onAttempt);
+        try {
+            await assert.rejects(
+                transition({ rideId: 'ride-1', to: RIDE_STATUS.IN_PROGRESS, actor: captain, data: { otp: '0000' } }),
+                { statusCode: 400, message: 'Invalid OTP' }
+            );
+        } finally {
+            rideEvents.off('otp-attempt', onAttempt);
+        }
+        assert.deepEqual(attempts, [false]);
+        assert.equal(rideModel.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('only lets the rider who booked cancel as a user', async () => {
+        stubRide({ status: RIDE_STATUS.REQUESTED, user: 'user-2' });
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: RIDE_STATUS.CANCELLED, actor: rider }),
+            { statusCode: 403, message: 'Only the rider can cancel this ride' }
+        );
+    });
+
+    it('does not let the rider cancel a ride in progress', async () => {
+        stubRide({ status: RIDE_STATUS.IN_PROGRESS, captain: 'captain-1' });
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: RIDE_STATUS.CANCELLED, actor: rider }),
+            { statusCode: 400, message: 'A ride in progress cannot be cancelled' }
+        );
+    });
+
+    it('reports a conflict when the status changed after it was read', async () => {
+        stubRide({ status: RIDE_STATUS.REQUESTED });
+        rideModel.findOneAndUpdate.mock.mockImplementation(async () => null);
+        await assert.rejects(
+            transition({ rideId: 'ride-1', to: RIDE_STATUS.CANCELLED, actor: rider }),
+            { statusCode: 409, message: 'Ride status changed, please retry' }
+        );
+    });
+
+    it('updates conditionally on the status it validated and emits the transition', async () => {
+        stubRide({ status: RIDE_STATUS.REQUESTED });
+        // Sockets are not initialised here; notification failures are only logged
+        mock.method(console, 'error', () => {});
+        const transitions = [];
+        const onTransition = ({ from, to, actor }) => transitions.push({ from, to, actor: actor.type });
+        rideEvents.on('transition', onTransition);
+
+        let ride;
+        try {
+            ride = await transition({ rideId: 'ride-1', to: RIDE_STATUS.CANCELLED, actor: rider, data: { reason: 'Plans changed' } });
+        } finally {
+            rideEvents.off('transition', onTransition);
+        }
+
+        const [filter, update] = rideModel.findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: 'ride-1', status: RIDE_STATUS.REQUESTED });
+        assert.equal(update.$set.status, RIDE_STATUS.CANCELLED);
+        assert.equal(ride.cancellationReason, 'Plans changed');
+        assert.equal(ride.cancelledBy, 'User');
+        assert.deepEqual(transitions, [{ from: RIDE_STATUS.REQUESTED, to: RIDE_STATUS.CANCELLED, actor: 'User' }]);
+    });
+});
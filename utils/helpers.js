@@ -137,6 +137,17 @@ const formatPhone = (phone) => {
     return sanitized;
 };
 
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or not a finite number
+ * @returns {number} Setting value; unlike `|| fallback`, an explicit 0 is kept
+ */
+const numberFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
 module.exports = {
     generateOTP,
     formatDate,
@@ -147,5 +158,6 @@ module.exports = {
     generateRandomString,
     sanitizePhone,
     validatePhone,
-    formatPhone
+    formatPhone,
+    numberFromEnv
 }; 
\ No newline at end of file
@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+const sendSms = async (options) => {
+    // Without a gateway configured (local/dev), log instead of failing the caller
+    if (!process.env.SMS_GATEWAY_URL) {
+        // Recipient only: messages carry ride OTPs and tracking links
+        console.log('SMS gateway not configured, skipping message to %s', options.phone);
+        return;
+    }
+
+    // Send SMS through the configured HTTP gateway
+    const response = await axios.post(process.env.SMS_GATEWAY_URL, {
+        from: process.env.SMS_SENDER_ID,
+        to: options.phone,
+        message: options.message
+    }, {
+        headers: {
+            Authorization: `Bearer ${process.env.SMS_API_KEY}`
+        },
+        timeout: 10000
+    });
+
+    console.log('SMS sent: %s', response.data && response.data.id);
+};
+
+module.exports = { sendSms };
@@ -102,4 +102,18 @@ exports.validatePassword = (password) => {
         hasNumbers &&
         hasSpecialChar
     );
-}; 
\ No newline at end of file
+};
+
+/**
+ * Validates IANA timezone name
+ * @param {string} timeZone - The timezone to validate, e.g. 'Asia/Kolkata'
+ * @returns {boolean} - Whether the timezone is known
+ */
+exports.validateTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};